@@ -0,0 +1,25 @@
+// config/rejectionReasons.js
+// Predefined rejection reasons and the text shown to farmers for each
+
+const REJECTION_REASONS = {
+  poor_photo_quality: 'The photos are blurry or unclear',                 // Photos are blurry or unclear
+  face_not_visible: 'Your face is not clearly visible in the photos',      // Face not clearly visible in photos
+  incorrect_location: 'The location does not match your farm or village',  // Location doesn't match farm/village
+  insufficient_photos: 'Not enough photos were provided',                  // Not enough photos provided
+  duplicate_request: 'A request for this crop already exists',             // User already has pending/approved request
+  crop_mismatch: 'The crop in the photos does not match the declared crop', // Crop in photo doesn't match declared crop
+  fake_or_manipulated: 'The photos appear to be edited or not genuine',    // Photos appear fake or edited
+  incomplete_information: 'Some required information is missing',         // Missing required information
+  suspicious_activity: 'The request could not be verified',               // Potentially fraudulent activity detected
+  other: 'The request could not be approved'                              // Other reasons (can add notes separately)
+};
+
+const REJECTION_REASON_CODES = Object.keys(REJECTION_REASONS);
+
+const describeRejectionReason = (code) => REJECTION_REASONS[code] || REJECTION_REASONS.other;
+
+module.exports = {
+  REJECTION_REASONS,
+  REJECTION_REASON_CODES,
+  describeRejectionReason
+};
@@ -0,0 +1,16 @@
+// jobs/approvalExpiryWorker.js - Periodically expires approvals past their validity period
+const { schedule } = require("./schedule");
+const { expireDueApprovals } = require("../services/approvalExpiry");
+
+const INTERVAL_MS = parseInt(process.env.APPROVAL_EXPIRY_INTERVAL_MINUTES || "60", 10) * 60 * 1000;
+
+const startApprovalExpiryWorker = () => {
+  return schedule("Approval expiry worker", INTERVAL_MS, async () => {
+    const results = await expireDueApprovals();
+    if (results.length > 0) {
+      console.log(`⌛ Approval expiry worker expired ${results.length} approval(s)`);
+    }
+  });
+};
+
+module.exports = { startApprovalExpiryWorker };
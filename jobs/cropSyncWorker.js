@@ -0,0 +1,16 @@
+// jobs/cropSyncWorker.js - Periodically retries pending crop API updates
+const { schedule } = require("./schedule");
+const { processDueCropSyncJobs } = require("../services/cropSync");
+
+const INTERVAL_MS = parseInt(process.env.CROP_SYNC_INTERVAL_SECONDS || "60", 10) * 1000;
+
+const startCropSyncWorker = () => {
+  return schedule("Crop sync worker", INTERVAL_MS, async () => {
+    const results = await processDueCropSyncJobs();
+    if (results.length > 0) {
+      console.log(`🔁 Crop sync worker processed ${results.length} job(s)`);
+    }
+  });
+};
+
+module.exports = { startCropSyncWorker };
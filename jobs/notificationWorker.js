@@ -0,0 +1,16 @@
+// jobs/notificationWorker.js - Periodically retries undelivered farmer notifications
+const { schedule } = require("./schedule");
+const { processDueNotifications } = require("../services/notifications");
+
+const INTERVAL_MS = parseInt(process.env.NOTIFICATION_INTERVAL_SECONDS || "60", 10) * 1000;
+
+const startNotificationWorker = () => {
+  return schedule("Notification worker", INTERVAL_MS, async () => {
+    const results = await processDueNotifications();
+    if (results.length > 0) {
+      console.log(`🔁 Notification worker processed ${results.length} notification(s)`);
+    }
+  });
+};
+
+module.exports = { startNotificationWorker };
@@ -0,0 +1,27 @@
+// jobs/schedule.js - Minimal in-process interval scheduler for background jobs
+
+/**
+ * Run `task` every `intervalMs`. A tick is skipped while the previous one
+ * is still running, and errors are logged instead of crashing the server.
+ */
+const schedule = (name, intervalMs, task) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ ${name} error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`${name} running every ${intervalMs / 1000}s`);
+  return setInterval(tick, intervalMs);
+};
+
+module.exports = { schedule };
@@ -0,0 +1,21 @@
+// jobs/storageReconciliationWorker.js - Periodically deletes stored photos no verification references
+const { schedule } = require("./schedule");
+const { reconcileStorage } = require("../services/storageReconciliation");
+
+const INTERVAL_MS = parseInt(process.env.STORAGE_RECONCILE_INTERVAL_HOURS || "24", 10) * 60 * 60 * 1000;
+// Report orphans without deleting them, e.g. while first rolling this out
+const DRY_RUN = process.env.STORAGE_RECONCILE_DRY_RUN === "true";
+
+const startStorageReconciliationWorker = () => {
+  return schedule("Storage reconciliation worker", INTERVAL_MS, async () => {
+    const result = await reconcileStorage({ dryRun: DRY_RUN });
+    if (result.orphans.length > 0) {
+      console.log(
+        `🧹 Storage reconciliation ${DRY_RUN ? "found" : "deleted"} ${DRY_RUN ? result.orphans.length : result.deleted} orphaned ${result.backend} asset(s)` +
+          (result.failed ? `, ${result.failed} failed` : "")
+      );
+    }
+  });
+};
+
+module.exports = { startStorageReconciliationWorker };
@@ -0,0 +1,95 @@
+// middleware/auth.js
+const jwt = require("jsonwebtoken");
+const Reviewer = require("../models/Reviewer");
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Issue an access token for a reviewer account
+const signReviewerToken = (reviewer) => {
+  return jwt.sign(
+    { sub: reviewer._id.toString(), role: reviewer.role },
+    getJwtSecret(),
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Verifies the bearer token and attaches the reviewer to req.reviewer.
+// The account is re-read on every request so deactivation and role
+// changes take effect without waiting for the token to expire.
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      statusCode: 401,
+      message: "Authentication required",
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return res.status(401).json({
+      statusCode: 401,
+      message: "Invalid or expired token",
+    });
+  }
+
+  try {
+    const reviewer = await Reviewer.findById(payload.sub);
+
+    if (!reviewer || !reviewer.active) {
+      return res.status(401).json({
+        statusCode: 401,
+        message: "Account not found or disabled",
+      });
+    }
+
+    req.reviewer = reviewer;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// For routes with a public and a reviewer view: a request with a bearer
+// token goes through authenticate (so a bad token is still a 401), one
+// without continues with no req.reviewer
+const authenticateIfPresent = (req, res, next) => {
+  if (!getBearerToken(req)) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+// Must run after authenticate
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.reviewer || !roles.includes(req.reviewer.role)) {
+    return res.status(403).json({
+      statusCode: 403,
+      message: `Access denied. Requires role: ${roles.join(", ")}`,
+    });
+  }
+  next();
+};
+
+module.exports = {
+  signReviewerToken,
+  authenticate,
+  authenticateIfPresent,
+  requireRole,
+};
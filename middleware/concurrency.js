@@ -0,0 +1,53 @@
+// middleware/concurrency.js - ETag / If-Match handling for optimistic concurrency
+// A verification's ETag is its Mongoose version key (__v), which the model
+// bumps on every save (optimisticConcurrency).
+
+const versionTag = (doc) => `"${doc.__v}"`;
+
+// Accepts "3", W/"3" or a bare 3; returns the number, or null if unparseable
+const parseVersionTag = (value) => {
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(value).trim());
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Mutating routes must say which version they were looking at
+const requireIfMatch = (req, res, next) => {
+  const header = req.headers["if-match"];
+
+  if (!header) {
+    return res.status(428).json({
+      statusCode: 428,
+      message: "If-Match header with the verification's ETag is required",
+    });
+  }
+
+  const version = parseVersionTag(header);
+  if (version === null) {
+    return res.status(400).json({
+      statusCode: 400,
+      message: "Malformed If-Match header",
+    });
+  }
+
+  req.expectedVersion = version;
+  next();
+};
+
+// Standard 409 for a request made against an out-of-date version
+const staleVersion = (res, currentVersion) => {
+  if (currentVersion !== undefined && currentVersion !== null) {
+    res.setHeader("ETag", `"${currentVersion}"`);
+  }
+  return res.status(409).json({
+    statusCode: 409,
+    message: "This request was modified by someone else. Reload it and try again.",
+    data: { currentVersion },
+  });
+};
+
+module.exports = {
+  versionTag,
+  parseVersionTag,
+  requireIfMatch,
+  staleVersion,
+};
@@ -0,0 +1,94 @@
+// middleware/errorHandler.js - The API's single error format
+//
+// Every error response, from any route, has this shape:
+//
+//   {
+//     "statusCode": 400,                 // Same as the HTTP status
+//     "message": "Validation failed",    // Human-readable summary
+//     "details": [                       // Optional: one entry per bad field
+//       { "location": "body", "field": "location.lat", "message": "location.lat must be less than or equal to 90" }
+//     ],
+//     "data": { ... },                   // Optional: context, e.g. the current claim on a 409
+//     "error": "..."                     // Optional: underlying error text on 5xx (not in production)
+//   }
+//
+// `location` is one of params, query or body.
+const multer = require("multer");
+const ApiError = require("../utils/apiError");
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: "File too large",
+  LIMIT_FILE_COUNT: "Too many files",
+  LIMIT_UNEXPECTED_FILE: "Unexpected file field",
+};
+
+// Map errors thrown by the framework and libraries onto ApiError
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err instanceof multer.MulterError) {
+    return new ApiError(400, MULTER_MESSAGES[err.code] || err.message, {
+      details: [{ location: "body", field: err.field || "photos", message: err.message }],
+    });
+  }
+
+  // Malformed JSON body from express.json()
+  if (err.type === "entity.parse.failed") {
+    return new ApiError(400, "Request body is not valid JSON", {
+      details: [{ location: "body", field: "", message: err.message }],
+    });
+  }
+
+  if (err.type === "entity.too.large") {
+    return new ApiError(413, "Request body too large");
+  }
+
+  return null;
+};
+
+// Express recognises error handlers by their four arguments
+const errorHandler = (err, req, res, next) => {
+  // Mid-stream failures (exports) can only be handled by aborting
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const apiError = toApiError(err);
+
+  if (apiError) {
+    const { cause } = apiError;
+    return res.status(apiError.statusCode).json({
+      statusCode: apiError.statusCode,
+      message: apiError.message,
+      details: apiError.details,
+      data: apiError.data,
+      // Don't leak error details in production
+      error:
+        apiError.statusCode >= 500 && cause && process.env.NODE_ENV !== "production"
+          ? cause.message
+          : undefined,
+    });
+  }
+
+  console.error("❌ Unhandled error:", err.stack || err);
+
+  const statusCode = err.status || err.statusCode || 500;
+  res.status(statusCode).json({
+    statusCode,
+    message: statusCode >= 500 ? "Internal server error" : err.message,
+    // Don't leak error details in production
+    error: process.env.NODE_ENV === "production" ? undefined : err.message,
+  });
+};
+
+const notFound = (req, res) => {
+  res.status(404).json({
+    statusCode: 404,
+    message: `Route not found: ${req.method} ${req.originalUrl}`,
+  });
+};
+
+module.exports = {
+  errorHandler,
+  notFound,
+};
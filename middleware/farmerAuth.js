@@ -0,0 +1,76 @@
+// middleware/farmerAuth.js
+// Farmers don't have accounts here; they authenticate with the token the
+// marketplace app already issues them. We only verify its signature and
+// read the marketplace user id out of it.
+const jwt = require("jsonwebtoken");
+
+const getVerifyOptions = () => {
+  // Prefer asymmetric verification when the marketplace publishes a key
+  if (process.env.MARKETPLACE_JWT_PUBLIC_KEY) {
+    return {
+      key: process.env.MARKETPLACE_JWT_PUBLIC_KEY.replace(/\\n/g, "\n"),
+      algorithms: ["RS256", "ES256"],
+    };
+  }
+  if (process.env.MARKETPLACE_JWT_SECRET) {
+    return { key: process.env.MARKETPLACE_JWT_SECRET, algorithms: ["HS256"] };
+  }
+  throw new Error("MARKETPLACE_JWT_SECRET or MARKETPLACE_JWT_PUBLIC_KEY is not configured");
+};
+
+// Attaches req.farmer = { userId } from a valid marketplace token
+const authenticateFarmer = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      statusCode: 401,
+      message: "Farmer authentication required",
+    });
+  }
+
+  let verifyOptions;
+  try {
+    verifyOptions = getVerifyOptions();
+  } catch (error) {
+    return next(error);
+  }
+
+  let payload;
+  try {
+    const { key, algorithms } = verifyOptions;
+    payload = jwt.verify(token, key, {
+      algorithms,
+      issuer: process.env.MARKETPLACE_JWT_ISSUER || undefined,
+    });
+  } catch (error) {
+    console.warn("⚠️ Farmer token rejected:", error.message);
+    return res.status(401).json({
+      statusCode: 401,
+      message: "Invalid or expired farmer token",
+    });
+  }
+
+  const userId = payload.userId || payload.sub || payload.id;
+  if (!userId) {
+    return res.status(401).json({
+      statusCode: 401,
+      message: "Farmer token does not identify a user",
+    });
+  }
+
+  req.farmer = { userId: String(userId) };
+  next();
+};
+
+// True when the authenticated farmer is the owner recorded on the crop
+const isCropOwner = (farmer, cropData) => {
+  const ownerId = cropData && cropData.farm && cropData.farm.user && cropData.farm.user.id;
+  return Boolean(farmer && ownerId) && String(ownerId) === farmer.userId;
+};
+
+module.exports = {
+  authenticateFarmer,
+  isCropOwner,
+};
@@ -0,0 +1,45 @@
+// middleware/validate.js - Declarative request validation with Joi
+const ApiError = require("../utils/apiError");
+
+const LOCATIONS = ["params", "query", "body"];
+
+// "location.lat" must be ... -> location.lat must be ...
+const cleanMessage = (message) => message.replace(/"/g, "");
+
+/**
+ * validate({ params, query, body }) checks each part of the request against
+ * its Joi schema. Converted values (numbers, trimmed strings, defaults)
+ * replace the originals; every problem is reported at once as a 400.
+ */
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  LOCATIONS.forEach((location) => {
+    const schema = schemas[location];
+    if (!schema) return;
+
+    const { value, error } = schema.validate(req[location] || {}, {
+      abortEarly: false,
+      convert: true,
+    });
+
+    if (error) {
+      error.details.forEach((detail) => {
+        details.push({
+          location,
+          field: detail.path.join("."),
+          message: cleanMessage(detail.message),
+        });
+      });
+    } else {
+      req[location] = value;
+    }
+  });
+
+  if (details.length > 0) {
+    return next(new ApiError(400, "Validation failed", { details }));
+  }
+  next();
+};
+
+module.exports = { validate };
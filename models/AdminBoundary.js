@@ -0,0 +1,33 @@
+// models/AdminBoundary.js
+const mongoose = require('mongoose');
+
+// Village, taluk and district polygons used to check submitted coordinates
+const adminBoundarySchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['village', 'taluk', 'district'],
+    required: true
+  },
+  name: { type: String, required: true, trim: true },
+  // Alternate spellings, e.g. 'Bangalore Rural' for 'Bengaluru Rural'
+  aliases: [String],
+
+  // Parent areas, when the source data has them
+  taluk: String,
+  district: String,
+  state: String,
+
+  geometry: {
+    type: { type: String, enum: ['Polygon', 'MultiPolygon'], required: true },
+    coordinates: { type: Array, required: true }
+  },
+
+  source: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Indexes
+adminBoundarySchema.index({ geometry: '2dsphere' });
+adminBoundarySchema.index({ level: 1, name: 1 });
+
+module.exports = mongoose.model('AdminBoundary', adminBoundarySchema);
@@ -0,0 +1,64 @@
+// models/AuditEvent.js
+const mongoose = require('mongoose');
+
+// Append-only log of every state change made to a Verification
+const auditEventSchema = new mongoose.Schema({
+  verificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Verification',
+    required: true
+  },
+  cropId: String,
+
+  // What happened, e.g. 'submitted', 'photos_reviewed', 'finalized'
+  action: { type: String, required: true },
+
+  // Route that made the change, e.g. 'PATCH /api/verifications/:id/finalize'
+  endpoint: String,
+
+  // Who made the change: a reviewer account, the farmer, or a background job
+  actor: {
+    type: { type: String, enum: ['reviewer', 'farmer', 'system'], required: true },
+    id: String,
+    email: String,
+    role: String
+  },
+
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+// Indexes
+auditEventSchema.index({ verificationId: 1, createdAt: 1 });
+auditEventSchema.index({ 'actor.email': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+// Enforce append-only: existing events can never be modified or removed
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+].forEach(op => auditEventSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,56 @@
+// models/CropSyncJob.js
+const mongoose = require('mongoose');
+
+// Outbox entry for a pending update to the marketplace crop API
+const cropSyncJobSchema = new mongoose.Schema({
+  verificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Verification',
+    required: true
+  },
+  cropId: { type: String, required: true },
+
+  // Which crop API call to make (see services/cropSync.js)
+  operation: {
+    type: String,
+    enum: ['update_images_location', 'update_verification_status', 'remove_images_location'],
+    required: true
+  },
+  payload: { type: mongoose.Schema.Types.Mixed },
+
+  status: {
+    type: String,
+    enum: [
+      'pending',      // Waiting for its next attempt
+      'processing',   // Claimed by a worker
+      'succeeded',    // Crop API accepted the update
+      'failed',       // Gave up after maxAttempts, needs a replay
+      'superseded'    // A newer job for the same crop already succeeded
+    ],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  lastAttemptAt: { type: Date },
+  response: { type: mongoose.Schema.Types.Mixed },
+  completedAt: { type: Date },
+
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Indexes
+cropSyncJobSchema.index({ status: 1, nextAttemptAt: 1 });
+cropSyncJobSchema.index({ cropId: 1, createdAt: -1 });
+cropSyncJobSchema.index({ verificationId: 1 });
+
+cropSyncJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CropSyncJob', cropSyncJobSchema);
@@ -0,0 +1,52 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+// One message to a farmer and the history of trying to deliver it
+const notificationSchema = new mongoose.Schema({
+  verificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Verification',
+    required: true
+  },
+  cropId: String,
+  userId: String,
+
+  // Why it was sent, e.g. 'approved', 'rejected'
+  event: { type: String, required: true },
+  channel: { type: String, enum: ['sms', 'whatsapp'], required: true },
+  provider: { type: String, required: true },
+  to: { type: String, required: true },
+  body: { type: String, required: true },
+
+  status: {
+    type: String,
+    enum: [
+      'queued',     // Waiting for its next attempt
+      'sending',    // Claimed by a worker
+      'sent',       // Accepted by the provider
+      'failed'      // Gave up after maxAttempts
+    ],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  providerMessageId: { type: String },
+  sentAt: { type: Date },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Indexes
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ verificationId: 1, createdAt: -1 });
+
+notificationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
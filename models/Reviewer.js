@@ -0,0 +1,47 @@
+// models/Reviewer.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Staff roles, lowest privilege first
+const REVIEWER_ROLES = ['viewer', 'reviewer', 'supervisor'];
+
+const reviewerSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true, select: false },
+  role: {
+    type: String,
+    enum: REVIEWER_ROLES,
+    default: 'viewer'
+  },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reviewerSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, 10);
+};
+
+reviewerSchema.methods.checkPassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never send the password hash back to clients
+reviewerSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.passwordHash;
+  return obj;
+};
+
+reviewerSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Reviewer = mongoose.model('Reviewer', reviewerSchema);
+
+module.exports = Reviewer;
+module.exports.REVIEWER_ROLES = REVIEWER_ROLES;
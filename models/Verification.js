@@ -1,5 +1,32 @@
 // models/Verification.js
 const mongoose = require('mongoose');
+const { REJECTION_REASON_CODES } = require('../config/rejectionReasons');
+const { LEGACY_TEXT_FIELDS } = require('../utils/measurements');
+
+// Region a reviewer marked on a photo. Coordinates are fractions (0-1) of
+// the image width/height so they survive resizing and thumbnails.
+const photoAnnotation = {
+  _id: false,
+  kind: { type: String, enum: ['bbox'], default: 'bbox' },
+  x: Number,
+  y: Number,
+  width: Number,
+  height: Number,
+  label: String
+};
+
+// Where a photo's file lives, so assets can be located, migrated and
+// reconciled later. Metadata is whatever the backend reported at upload.
+const storedAsset = {
+  backend: { type: String, enum: ['cloudinary', 'local', 's3'] },
+  key: String,                        // Cloudinary public_id or object path
+  assetId: String,                    // Cloudinary asset_id
+  version: Number,                    // Cloudinary version
+  width: Number,
+  height: Number,
+  bytes: Number,
+  format: String
+};
 
 const verificationSchema = new mongoose.Schema({
   userId: { type: String, required: true },
@@ -10,21 +37,94 @@ const verificationSchema = new mongoose.Schema({
   village: String,
   taluk: String,
   district: String,
-  quantity: String,
+  // Typed so they can be filtered and aggregated (see utils/measurements.js)
+  quantity: {
+    value: Number,
+    unit: String,                     // 'quintal', 'kg', 'tonne' or as reported
+    inQuintals: Number                // Unset when the unit can't be converted
+  },
   variety: String,
-  moisture: String,
-  willDry: String,
+  moisture: { type: Number, min: 0, max: 100 },   // Percent
+  willDry: Boolean,
+  // Original free text that couldn't be parsed into the typed fields above
+  legacy: {
+    quantity: String,
+    moisture: String,
+    willDry: String
+  },
+
+  // Resubmission lineage: the request this one replaces (latest earlier
+  // request for the same crop) and which attempt for the crop this is
+  previousVerificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Verification' },
+  // No default: records from before lineage was tracked must stay
+  // distinguishable until scripts/backfillLineage.js has run
+  attemptNumber: { type: Number, min: 1 },
   
   // Photos with individual approval status
   photos: [{
     url: { type: String, required: true },
+    storage: storedAsset,
     status: { 
       type: String, 
       enum: ['pending', 'approved', 'rejected'], 
       default: 'pending' 
     },
+    // Reviewer's feedback on this photo, set by /:id/review-images
+    rejectionReason: { type: String, enum: REJECTION_REASON_CODES },
+    reviewNote: String,
+    annotations: [photoAnnotation],
+    reviewedAt: Date,
+    reviewedBy: String,
+    // Metadata read from the original upload before Cloudinary strips it
+    exif: {
+      capturedAt: Date,
+      latitude: Number,
+      longitude: Number,
+      altitude: Number,
+      make: String,
+      model: String,
+      software: String
+    },
+    // Automatic checks of the EXIF against the submitted location
+    flags: {
+      missingExif: Boolean,
+      missingGps: Boolean,
+      missingCaptureTime: Boolean,
+      gpsMismatch: Boolean,           // Camera GPS too far from submitted location
+      distanceKm: Number,
+      staleCapture: Boolean,          // Captured too long before submission
+      captureAgeDays: Number
+    },
+    // Perceptual hash (16 hex chars) and its lookup bands, see services/photoHash.js
+    phash: String,
+    phashBands: [String],
+    // Photos in other verifications that look like this one
+    duplicates: [{
+      _id: false,
+      verificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Verification' },
+      photoId: mongoose.Schema.Types.ObjectId,
+      cropId: String,
+      userId: String,
+      distance: Number,
+      detectedAt: { type: Date, default: Date.now }
+    }],
     _id: { type: mongoose.Schema.Types.ObjectId, auto: true }
   }],
+
+  // Rejected photos the farmer has since swapped out via /:id/replace-photos.
+  // The assets are kept so reviewers can compare and nothing is orphaned.
+  replacedPhotos: [{
+    _id: false,
+    photoId: mongoose.Schema.Types.ObjectId,      // _id the photo had in photos[]
+    replacedBy: mongoose.Schema.Types.ObjectId,   // _id of its replacement
+    url: String,
+    storage: storedAsset,
+    phash: String,
+    rejectionReason: String,                      // Photo's own reason, else the request's
+    reviewNote: String,
+    annotations: [photoAnnotation],
+    replacedAt: { type: Date, default: Date.now }
+  }],
   
   // Location - locationType is OPTIONAL now, set by admin later
   location: {
@@ -37,28 +137,61 @@ const verificationSchema = new mongoose.Schema({
     }
   },
   
+  // Admin area the coordinates actually fall in (from AdminBoundary polygons)
+  adminArea: {
+    village: String,
+    taluk: String,
+    district: String,
+    resolvedAt: Date
+  },
+
+  // Set when the declared village/taluk/district disagrees with adminArea
+  locationMismatch: {
+    flagged: { type: Boolean, default: false },
+    fields: [String]
+  },
+  
+  // Set when several different farmers submitted from practically this spot
+  locationCluster: {
+    flagged: { type: Boolean, default: false },
+    distinctUsers: Number,
+    radiusMeters: Number,
+    verificationIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Verification' }],
+    checkedAt: Date
+  },
+  
+  // Review lease: only the holder may review/finalize until it expires
+  claim: {
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reviewer' },
+    reviewerEmail: String,
+    claimedAt: Date,
+    expiresAt: Date
+  },
+  
   // Overall verification status
   status: { 
     type: String, 
-    enum: ['pending', 'approved', 'rejected'], 
+    enum: ['pending', 'approved', 'rejected', 'expired', 'revoked'], 
     default: 'pending' 
   },
+
+  // Approvals lapse after APPROVAL_VALIDITY_DAYS (services/approvalExpiry.js)
+  expiresAt: { type: Date },
+  expiredAt: { type: Date },
+
+  // Set when a supervisor withdraws an approval (POST /:id/revoke)
+  revocationReason: {
+    type: String,
+    enum: REJECTION_REASON_CODES
+  },
+  revocationNotes: { type: String },
+  revokedAt: { type: Date },
+  revokedBy: { type: String },
   
   // 🔄 CHANGED: Rejection reason with predefined options
   rejectionReason: { 
     type: String,
-    enum: [
-      'poor_photo_quality',           // Photos are blurry or unclear
-      'face_not_visible',             // Face not clearly visible in photos
-      'incorrect_location',           // Location doesn't match farm/village
-      'insufficient_photos',          // Not enough photos provided
-      'duplicate_request',            // User already has pending/approved request
-      'crop_mismatch',                // Crop in photo doesn't match declared crop
-      'fake_or_manipulated',          // Photos appear fake or edited
-      'incomplete_information',       // Missing required information
-      'suspicious_activity',          // Potentially fraudulent activity detected
-      'other'                         // Other reasons (can add notes separately)
-    ]
+    enum: REJECTION_REASON_CODES  // See config/rejectionReasons.js
   },
   
   // 🆕 ADDED: Optional additional notes for rejection (if reason is 'other' or needs explanation)
@@ -70,13 +203,57 @@ const verificationSchema = new mongoose.Schema({
   
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
+}, {
+  // Every save() bumps and checks __v, which doubles as the API's ETag
+  optimisticConcurrency: true
 });
 
 // Indexes
 verificationSchema.index({ location: '2dsphere' });
 verificationSchema.index({ userId: 1 });
-verificationSchema.index({ cropId: 1 });
+verificationSchema.index({ cropId: 1, createdAt: 1 });
 verificationSchema.index({ status: 1 });
+verificationSchema.index({ status: 1, expiresAt: 1 });
+verificationSchema.index({ 'photos.phashBands': 1 });
+verificationSchema.index({ 'locationMismatch.flagged': 1 });
+verificationSchema.index({ 'locationCluster.flagged': 1 });
+verificationSchema.index({ status: 1, 'claim.expiresAt': 1, createdAt: 1 });
+// Admin list sorts, each with _id as the cursor tie-break
+verificationSchema.index({ status: 1, createdAt: -1, _id: -1 });
+verificationSchema.index({ status: 1, reviewedAt: -1, _id: -1 });
+verificationSchema.index({ status: 1, district: 1, _id: 1 });
+verificationSchema.index({ status: 1, cropName: 1, _id: 1 });
+// Free-text search (?q=) on the admin list
+verificationSchema.index(
+  {
+    fullName: 'text',
+    cropName: 'text',
+    village: 'text',
+    taluk: 'text',
+    district: 'text',
+    phone: 'text',
+  },
+  { name: 'verification_text_search' }
+);
+
+// Requests saved before quantity/moisture/willDry were typed hold free text
+// until scripts/migrateTypedFields.js has run. Convert it on load so those
+// documents still validate and save; text that won't parse moves to legacy.
+verificationSchema.pre('init', function(doc) {
+  Object.entries(LEGACY_TEXT_FIELDS).forEach(([field, parse]) => {
+    if (typeof doc[field] !== 'string') return;
+    const text = doc[field];
+    const value = parse(text);
+    if (value !== undefined) {
+      doc[field] = value;
+      return;
+    }
+    delete doc[field];
+    if (text.trim()) {
+      doc.legacy = { ...doc.legacy, [field]: text };
+    }
+  });
+});
 
 // Update timestamp before saving
 verificationSchema.pre('save', function(next) {
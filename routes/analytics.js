@@ -0,0 +1,133 @@
+// routes/analytics.js - Review analytics and SLA dashboard
+const express = require("express");
+const router = express.Router();
+const { authenticate, requireRole } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { buildAdminQuery } = require("../utils/adminFilters");
+const schemas = require("../validators/analytics");
+const ApiError = require("../utils/apiError");
+const {
+  countsBy,
+  reviewerThroughput,
+  reviewTimes,
+  slaBreaches,
+} = require("../services/analytics");
+
+router.use(authenticate, requireRole("viewer", "reviewer", "supervisor"));
+
+/**
+ * Shared query parsing: status plus the /admin/:status filters
+ * (district, cropName, fromDate, toDate, ...) and an optional bucket.
+ * The query has already been checked by validators/analytics.js.
+ */
+const parseAnalyticsQuery = (req) => {
+  const { status, bucket } = req.query;
+  const { query, appliedFilters } = buildAdminQuery(status, req.query);
+  return { match: query, bucket, appliedFilters };
+};
+
+// ============================================
+// 1. COUNTS BY STATUS / DISTRICT / CROP / REJECTION REASON
+// ============================================
+router.get("/counts", validate(schemas.counts), async (req, res, next) => {
+  try {
+    const { by } = req.query;
+    const parsed = parseAnalyticsQuery(req);
+
+    const counts = await countsBy({ match: parsed.match, by, bucket: parsed.bucket });
+
+    res.json({
+      statusCode: 200,
+      message: "Counts fetched successfully",
+      data: {
+        by,
+        bucket: parsed.bucket || null,
+        filters: parsed.appliedFilters,
+        counts,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching counts:", error);
+    next(new ApiError(500, "Error fetching counts", { cause: error }));
+  }
+});
+
+// ============================================
+// 2. REVIEWER THROUGHPUT
+// ============================================
+router.get("/reviewers", validate(schemas.report), async (req, res, next) => {
+  try {
+    const parsed = parseAnalyticsQuery(req);
+
+    const reviewers = await reviewerThroughput(parsed);
+
+    res.json({
+      statusCode: 200,
+      message: "Reviewer throughput fetched successfully",
+      data: {
+        bucket: parsed.bucket || null,
+        filters: parsed.appliedFilters,
+        reviewers,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching reviewer throughput:", error);
+    next(new ApiError(500, "Error fetching reviewer throughput", { cause: error }));
+  }
+});
+
+// ============================================
+// 3. TIME TO REVIEW (Median / p90)
+// ============================================
+router.get("/review-times", validate(schemas.report), async (req, res, next) => {
+  try {
+    const parsed = parseAnalyticsQuery(req);
+
+    const times = await reviewTimes(parsed);
+
+    res.json({
+      statusCode: 200,
+      message: "Review times fetched successfully",
+      data: {
+        bucket: parsed.bucket || null,
+        filters: parsed.appliedFilters,
+        ...times,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching review times:", error);
+    next(new ApiError(500, "Error fetching review times", { cause: error }));
+  }
+});
+
+// ============================================
+// 4. SLA BREACHES (Pending longer than the threshold)
+// ============================================
+router.get("/sla-breaches", validate(schemas.slaBreaches), async (req, res, next) => {
+  try {
+    const { hours: thresholdHours, limit } = req.query;
+    const parsed = parseAnalyticsQuery(req);
+
+    const breaches = await slaBreaches({
+      match: parsed.match,
+      bucket: parsed.bucket,
+      thresholdHours,
+      limit,
+    });
+
+    res.json({
+      statusCode: 200,
+      message: "SLA breaches fetched successfully",
+      data: {
+        bucket: parsed.bucket || null,
+        filters: parsed.appliedFilters,
+        ...breaches,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching SLA breaches:", error);
+    next(new ApiError(500, "Error fetching SLA breaches", { cause: error }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// routes/auth.js - Reviewer accounts and login
+const express = require("express");
+const router = express.Router();
+const Reviewer = require("../models/Reviewer");
+const {
+  signReviewerToken,
+  authenticate,
+  requireRole,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/auth");
+const ApiError = require("../utils/apiError");
+
+// ============================================
+// 1. LOGIN
+// ============================================
+router.post("/login", validate(schemas.login), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const reviewer = await Reviewer.findOne({ email }).select("+passwordHash");
+
+    if (!reviewer || !reviewer.active || !(await reviewer.checkPassword(password))) {
+      return res.status(401).json({
+        statusCode: 401,
+        message: "Invalid email or password",
+      });
+    }
+
+    reviewer.lastLoginAt = new Date();
+    await reviewer.save();
+
+    res.json({
+      statusCode: 200,
+      message: "Login successful",
+      data: {
+        token: signReviewerToken(reviewer),
+        reviewer: reviewer.toJSON(),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Login error:", error);
+    next(new ApiError(500, "Login failed", { cause: error }));
+  }
+});
+
+// ============================================
+// 2. CURRENT REVIEWER
+// ============================================
+router.get("/me", authenticate, (req, res) => {
+  res.json({
+    statusCode: 200,
+    data: req.reviewer.toJSON(),
+  });
+});
+
+// ============================================
+// 3. LIST REVIEWERS (Supervisor only)
+// ============================================
+router.get("/reviewers", authenticate, requireRole("supervisor"), async (req, res, next) => {
+  try {
+    const reviewers = await Reviewer.find().sort({ createdAt: -1 });
+
+    res.json({
+      statusCode: 200,
+      data: reviewers,
+    });
+  } catch (error) {
+    next(new ApiError(500, "Error fetching reviewers", { cause: error }));
+  }
+});
+
+// ============================================
+// 4. CREATE REVIEWER (Supervisor only)
+// ============================================
+router.post("/reviewers", authenticate, requireRole("supervisor"), validate(schemas.createReviewer), async (req, res, next) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    const existing = await Reviewer.findOne({ email });
+
+    if (existing) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: "A reviewer with this email already exists",
+      });
+    }
+
+    const reviewer = new Reviewer({ name, email, role });
+    await reviewer.setPassword(password);
+    await reviewer.save();
+
+    console.log(`✅ Reviewer ${reviewer.email} (${reviewer.role}) created by ${req.reviewer.email}`);
+
+    res.status(201).json({
+      statusCode: 201,
+      message: "Reviewer created successfully",
+      data: reviewer.toJSON(),
+    });
+  } catch (error) {
+    console.error("❌ Error creating reviewer:", error);
+    next(new ApiError(500, "Error creating reviewer", { cause: error }));
+  }
+});
+
+// ============================================
+// 5. UPDATE REVIEWER (Supervisor only)
+// ============================================
+router.patch("/reviewers/:id", authenticate, requireRole("supervisor"), validate(schemas.updateReviewer), async (req, res, next) => {
+  try {
+    const { name, role, active, password } = req.body;
+
+    const reviewer = await Reviewer.findById(req.params.id);
+
+    if (!reviewer) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Reviewer not found",
+      });
+    }
+
+    if (name) reviewer.name = name;
+    if (role) reviewer.role = role;
+    if (typeof active === "boolean") reviewer.active = active;
+    if (password) await reviewer.setPassword(password);
+
+    await reviewer.save();
+
+    res.json({
+      statusCode: 200,
+      message: "Reviewer updated successfully",
+      data: reviewer.toJSON(),
+    });
+  } catch (error) {
+    console.error("❌ Error updating reviewer:", error);
+    next(new ApiError(500, "Error updating reviewer", { cause: error }));
+  }
+});
+
+module.exports = router;
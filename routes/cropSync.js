@@ -0,0 +1,115 @@
+// routes/cropSync.js - Admin view of the crop API outbox
+const express = require("express");
+const router = express.Router();
+const CropSyncJob = require("../models/CropSyncJob");
+const { authenticate, requireRole } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/cropSync");
+const ApiError = require("../utils/apiError");
+const {
+  replayCropSyncJob,
+  replayFailedCropSyncJobs,
+} = require("../services/cropSync");
+
+router.use(authenticate);
+
+// ============================================
+// 1. LIST SYNC JOBS (Defaults to failed ones)
+// ============================================
+router.get("/jobs", requireRole("reviewer", "supervisor"), validate(schemas.listJobs), async (req, res, next) => {
+  try {
+    const { status, cropId, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (cropId) query.cropId = cropId;
+
+    const [totalCount, jobs] = await Promise.all([
+      CropSyncJob.countDocuments(query),
+      CropSyncJob.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({
+      statusCode: 200,
+      message: "Crop sync jobs fetched successfully",
+      data: {
+        jobs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalJobs: totalCount,
+          jobsPerPage: limit,
+          hasNextPage: page < Math.ceil(totalCount / limit),
+          hasPrevPage: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching crop sync jobs:", error);
+    next(new ApiError(500, "Error fetching crop sync jobs", { cause: error }));
+  }
+});
+
+// ============================================
+// 2. REPLAY ALL FAILED JOBS
+// ============================================
+router.post("/jobs/replay-failed", requireRole("supervisor"), async (req, res, next) => {
+  try {
+    const count = await replayFailedCropSyncJobs();
+
+    console.log(`🔁 ${req.reviewer.email} re-queued ${count} failed crop sync job(s)`);
+
+    res.json({
+      statusCode: 200,
+      message: `${count} failed job(s) queued for retry`,
+      data: { queued: count },
+    });
+  } catch (error) {
+    console.error("❌ Error replaying crop sync jobs:", error);
+    next(new ApiError(500, "Error replaying crop sync jobs", { cause: error }));
+  }
+});
+
+// ============================================
+// 3. REPLAY ONE JOB
+// ============================================
+router.post("/jobs/:jobId/replay", requireRole("supervisor"), validate(schemas.replayJob), async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const existing = await CropSyncJob.findById(jobId);
+
+    if (!existing) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Crop sync job not found",
+      });
+    }
+
+    if (existing.status !== "failed") {
+      return res.status(400).json({
+        statusCode: 400,
+        message: `Only failed jobs can be replayed. Job is ${existing.status}`,
+      });
+    }
+
+    console.log(`🔁 ${req.reviewer.email} replaying crop sync job ${jobId}`);
+    const job = await replayCropSyncJob(jobId);
+
+    res.json({
+      statusCode: 200,
+      message: `Crop sync job is now ${job.status}`,
+      data: job,
+    });
+  } catch (error) {
+    console.error("❌ Error replaying crop sync job:", error);
+    next(new ApiError(500, "Error replaying crop sync job", { cause: error }));
+  }
+});
+
+module.exports = router;
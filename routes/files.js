@@ -0,0 +1,23 @@
+// routes/files.js - Serves photos kept by the local storage backend
+const express = require("express");
+const router = express.Router();
+const local = require("../services/storage/local");
+
+// ============================================
+// 1. GET STORED FILE (Key is the rest of the path)
+// ============================================
+router.get("/*", (req, res) => {
+  const key = req.params[0];
+
+  // `root` makes sendFile reject paths that climb out of the storage dir
+  res.sendFile(key, { root: local.directory, dotfiles: "deny", maxAge: "7d" }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status || 404).json({
+        statusCode: error.status || 404,
+        message: "File not found",
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// routes/notifications.js - Farmer notification delivery log
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/Notification");
+const { authenticate, requireRole } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/notifications");
+const ApiError = require("../utils/apiError");
+const { resendNotification } = require("../services/notifications");
+
+router.use(authenticate);
+
+// ============================================
+// 1. LIST NOTIFICATIONS
+// ============================================
+router.get("/", requireRole("viewer", "reviewer", "supervisor"), validate(schemas.listNotifications), async (req, res, next) => {
+  try {
+    const { verificationId, cropId, status, event, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (verificationId) query.verificationId = verificationId;
+    if (cropId) query.cropId = cropId;
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const [totalCount, notifications] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({
+      statusCode: 200,
+      message: "Notifications fetched successfully",
+      data: {
+        notifications,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalNotifications: totalCount,
+          notificationsPerPage: limit,
+          hasNextPage: page < Math.ceil(totalCount / limit),
+          hasPrevPage: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching notifications:", error);
+    next(new ApiError(500, "Error fetching notifications", { cause: error }));
+  }
+});
+
+// ============================================
+// 2. RESEND A FAILED NOTIFICATION (Supervisor only)
+// ============================================
+router.post("/:id/resend", requireRole("supervisor"), validate(schemas.resendNotification), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await Notification.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Notification not found",
+      });
+    }
+
+    if (existing.status !== "failed") {
+      return res.status(400).json({
+        statusCode: 400,
+        message: `Only failed notifications can be resent. Notification is ${existing.status}`,
+      });
+    }
+
+    console.log(`🔁 ${req.reviewer.email} resending notification ${id}`);
+    const notification = await resendNotification(id);
+
+    res.json({
+      statusCode: 200,
+      message: `Notification is now ${notification.status}`,
+      data: notification,
+    });
+  } catch (error) {
+    console.error("❌ Error resending notification:", error);
+    next(new ApiError(500, "Error resending notification", { cause: error }));
+  }
+});
+
+module.exports = router;
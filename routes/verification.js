@@ -2,32 +2,108 @@
 const express = require("express");
 const router = express.Router();
 const multer = require("multer");
-const axios = require("axios");
-const cloudinary = require("../config/cloudinary");
 const Verification = require("../models/Verification");
+const AuditEvent = require("../models/AuditEvent");
 const mongoose = require('mongoose');
+const { authenticate, authenticateIfPresent, requireRole } = require("../middleware/auth");
+const { authenticateFarmer, isCropOwner } = require("../middleware/farmerAuth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/verification");
+const {
+  diffSnapshots,
+  snapshotVerification,
+  recordAudit,
+} = require("../services/audit");
+const { fetchCropData } = require("../services/cropApi");
+const { enqueueCropSync, processCropSyncJob } = require("../services/cropSync");
+const { isPhotoFlagged } = require("../services/photoMetadata");
+const {
+  linkDuplicatesBack,
+  duplicateReport,
+} = require("../services/photoHash");
+const { processPhotos, hasDuplicates } = require("../services/photoIntake");
+const { checkDeclaredArea } = require("../services/adminBoundaries");
+const {
+  escapeRegex,
+  buildDateRange,
+  buildAdminQuery,
+} = require("../utils/adminFilters");
+const { paginate } = require("../utils/cursorPagination");
+const ApiError = require("../utils/apiError");
+const {
+  findNearbyVerifications,
+  detectLocationCluster,
+  flagClusterMembers,
+} = require("../services/locationClusters");
+const { EXPORT_FORMATS } = require("../services/verificationExport");
+const { GEO_EXPORT_FORMATS } = require("../services/geoExport");
+const {
+  LEASE_MINUTES,
+  holdsLease,
+  activeClaim,
+  claimNext,
+  claimById,
+  renewClaim,
+  releaseClaim,
+  reassignClaim,
+} = require("../services/reviewQueue");
+const Reviewer = require("../models/Reviewer");
+const {
+  ReviewError,
+  leaseError,
+  reviewPhotos,
+  rejectedPhotoDetails,
+  finalizeVerification,
+} = require("../services/review");
+const { describeRejectionReason } = require("../config/rejectionReasons");
+const { notifyVerificationOutcome } = require("../services/notifications");
+const {
+  approvalExpiresAt,
+  isApprovalExpired,
+  expireApproval,
+} = require("../services/approvalExpiry");
+const { STORAGE_BACKEND, discardPhotos } = require("../services/storage");
+const {
+  buildQuantity,
+  parseMoisture,
+  parseWillDry,
+} = require("../utils/measurements");
+const {
+  versionTag,
+  requireIfMatch,
+  staleVersion,
+} = require("../middleware/concurrency");
+
+// Radius, status and crop filters shared by the nearby routes
+// (already checked and defaulted by validators/verification.js)
+const parseNearbyOptions = (reqQuery) => {
+  const { radius: radiusMeters, limit, status, cropId, cropName } = reqQuery;
+  const query = {};
+
+  if (status && status !== "all") {
+    query.status = status;
+  }
+  if (cropId) {
+    query.cropId = cropId;
+  }
+  if (cropName) {
+    query.cropName = new RegExp(escapeRegex(cropName), "i");
+  }
 
-const escapeRegex = (str) => {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return { radiusMeters, limit, query };
 };
 
-// 🆕 ADDED: Crop API configuration
-const CROP_API_URL = process.env.CROP_API_URL || "https://markhet-internal-ngfs.onrender.com";
-
-// 🆕 ADDED: Helper function to fetch crop data
-async function fetchCropData(cropId) {
-  try {
-    const response = await axios.get(`${CROP_API_URL}/crop/get-crop-by-id/${cropId}`);
-    if (response.data.code === 200) {
-      return response.data.data;
-    }
-    throw new Error(response.data.message || "Failed to fetch crop data");
-  } catch (error) {
-    console.error("Error fetching crop data:", error.message);
-    throw error;
+// Send a refused review step with the same shape as the inline checks
+const sendReviewError = (res, error) => {
+  if (error.data && error.data.currentVersion !== undefined && error.data.currentVersion !== null) {
+    res.setHeader("ETag", `"${error.data.currentVersion}"`);
   }
-}
-
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    message: error.message,
+    data: error.data,
+  });
+};
 
 // Configure multer
 const storage = multer.memoryStorage();
@@ -36,28 +112,6 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
 });
 
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = (fileBuffer, filename) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: "farm-verifications",
-        resource_type: "image",
-        public_id: `verification_${Date.now()}_${filename}`,
-        transformation: [
-          { width: 1024, height: 1024, crop: "limit" },
-          { quality: "auto:good" },
-        ],
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result);
-      }
-    );
-    uploadStream.end(fileBuffer);
-  });
-};
-
 // ============================================
 // ROUTE ORDER (Most specific to least specific)
 // ============================================
@@ -65,7 +119,9 @@ const uploadToCloudinary = (fileBuffer, filename) => {
 // ============================================
 // 1. SUBMIT VERIFICATION REQUEST (Most specific POST route)
 // ============================================
-router.post("/submit", upload.array("photos", 3), async (req, res) => {
+router.post("/submit", authenticateFarmer, upload.array("photos", 3), validate(schemas.submit), async (req, res, next) => {
+  // Uploads not yet saved on a verification; deleted again if the request fails
+  let unsavedPhotos = [];
   try {
     const {
       cropId,
@@ -76,15 +132,17 @@ router.post("/submit", upload.array("photos", 3), async (req, res) => {
       taluk,
       district,
       quantity,
+      quantityUnit,
       variety,
       moisture,
       willDry,
     } = req.body;
 
-    if (!cropId || !req.files || req.files.length === 0) {
+    if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         statusCode: 400,
-        message: "Missing required fields: cropId or photos",
+        message: "Validation failed",
+        details: [{ location: "body", field: "photos", message: "At least one photo is required" }],
       });
     }
 
@@ -96,7 +154,15 @@ router.post("/submit", upload.array("photos", 3), async (req, res) => {
       return res.status(404).json({
         statusCode: 404,
         message: "Crop not found or unable to fetch crop data",
-        error: error.message,
+      });
+    }
+
+    // Only the farmer who owns the crop may submit photos for it
+    if (!isCropOwner(req.farmer, cropData)) {
+      console.warn(`🚫 User ${req.farmer.userId} attempted to submit for crop ${cropId} they do not own`);
+      return res.status(403).json({
+        statusCode: 403,
+        message: "You are not the owner of this crop",
       });
     }
 
@@ -127,7 +193,12 @@ router.post("/submit", upload.array("photos", 3), async (req, res) => {
         });
       }
 
-      if (status === "approved") {
+      if (status === "approved" && isApprovalExpired(existingRequest)) {
+        // The expiry worker hasn't reached it yet; expire it now so the
+        // crop API hears about it before the new request is reviewed
+        await expireApproval(existingRequest);
+        console.log(`⌛ Approval ${existingRequest._id} had expired. Allowing re-verification.`);
+      } else if (status === "approved") {
         return res.status(409).json({
           statusCode: 409,
           message: "Cannot submit new request. You are already verified.",
@@ -135,11 +206,16 @@ router.post("/submit", upload.array("photos", 3), async (req, res) => {
             existingRequestId: existingRequest._id,
             status: existingRequest.status,
             approvedAt: existingRequest.reviewedAt,
+            expiresAt: approvalExpiresAt(existingRequest),
             canSubmit: false,
           },
         });
       }
 
+      if (status === "expired" || status === "revoked") {
+        console.log(`User ${userId} has a ${status} approval. Allowing re-verification.`);
+      }
+
       if (status === "rejected") {
         console.log(
           `User ${userId} has rejected request. Allowing new submission (will create new record).`
@@ -147,28 +223,19 @@ router.post("/submit", upload.array("photos", 3), async (req, res) => {
       }
     }
 
-    const parsedLocation = JSON.parse(location);
-    if (!parsedLocation || !parsedLocation.lat || !parsedLocation.lng) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: "Invalid location data",
-      });
-    }
 
     console.log(`Processing ${req.files.length} photos for user ${userId}`);
 
-    const uploadPromises = req.files.map((file, index) =>
-      uploadToCloudinary(file.buffer, `${userId}_${cropId}_${index}`)
-    );
-
-    const cloudinaryResults = await Promise.all(uploadPromises);
-
-    const photos = cloudinaryResults.map((result) => ({
-      url: result.secure_url,
-      status: "pending",
-    }));
+    const submittedCoordinates = [location.lng, location.lat];
+    const photos = await processPhotos(req.files, {
+      coordinates: submittedCoordinates,
+      namePrefix: `${userId}_${cropId}`,
+      userId,
+      cropId,
+    });
+    unsavedPhotos = photos;
 
-    console.log("Photos uploaded to Cloudinary:", photos);
+    console.log(`Photos uploaded to ${STORAGE_BACKEND}:`, photos.map((p) => p.url));
 
     const verificationData = {
       userId: userId,
@@ -179,35 +246,87 @@ router.post("/submit", upload.array("photos", 3), async (req, res) => {
       village: village || farmData.village || "",
       taluk: taluk || farmData.taluk || "",
       district: district || farmData.district || "",
-      quantity: quantity || (cropData.quantity && cropData.measure 
-        ? `${cropData.quantity} ${cropData.measure}` 
-        : ""),
+      // Typed values; anything the farmer left blank comes from the crop record
+      // Free-text quantities arrive already parsed by the submit schema
+      quantity: quantity !== undefined && quantity !== ""
+        ? (typeof quantity === "object" ? quantity : buildQuantity(quantity, quantityUnit))
+        : buildQuantity(cropData.quantity, cropData.measure),
       variety: variety || cropData.maizeVariety || cropData.otherVarietyName || "",
-      moisture: moisture || cropData.moisturePercent?.toString() || "",
-      willDry: willDry || (cropData.willYouDryIt === true 
-        ? "Yes" 
-        : cropData.willYouDryIt === false 
-        ? "No" 
-        : ""),
+      moisture: moisture !== undefined && moisture !== ""
+        ? moisture
+        : parseMoisture(cropData.moisturePercent),
+      willDry: typeof willDry === "boolean"
+        ? willDry
+        : parseWillDry(cropData.willYouDryIt),
     };
 
+    // Does the GPS land in the village/taluk/district the request declares?
+    const { adminArea, locationMismatch } = await checkDeclaredArea(
+      {
+        village: verificationData.village,
+        taluk: verificationData.taluk,
+        district: verificationData.district,
+      },
+      submittedCoordinates
+    );
+
+    if (locationMismatch && locationMismatch.flagged) {
+      console.warn(`⚠️ Declared ${locationMismatch.fields.join(", ")} for crop ${cropId} does not match GPS (${JSON.stringify(adminArea)})`);
+    }
+
+    // Many different farmers at the same coordinates is a fraud signal
+    const locationCluster = await detectLocationCluster({
+      coordinates: submittedCoordinates,
+      userId,
+    });
+
+    // Link to the previous attempt. Records created before lineage was
+    // tracked have no attemptNumber, so fall back to counting them.
+    const attemptNumber = existingRequest
+      ? (existingRequest.attemptNumber ||
+          (await Verification.countDocuments({ cropId }))) + 1
+      : 1;
+
     const verification = new Verification({
       ...verificationData,
+      previousVerificationId: existingRequest ? existingRequest._id : undefined,
+      attemptNumber,
       photos,
+      adminArea,
+      locationMismatch,
+      locationCluster,
       location: {
         type: "Point",
-        coordinates: [parsedLocation.lng, parsedLocation.lat],
+        coordinates: submittedCoordinates,
       },
       status: "pending",
     });
 
     await verification.save();
+    unsavedPhotos = [];
 
     console.log("✅ New verification created:", verification._id);
 
+    if (hasDuplicates(photos)) {
+      console.warn(`⚠️ Verification ${verification._id} reuses photos from other verifications`);
+      await linkDuplicatesBack(verification);
+    }
+
+    if (locationCluster && locationCluster.flagged) {
+      console.warn(`⚠️ ${locationCluster.distinctUsers} different users submitted within ${locationCluster.radiusMeters}m of verification ${verification._id}`);
+      await flagClusterMembers(locationCluster);
+    }
+
+    await recordAudit({
+      verification,
+      action: "submitted",
+      req,
+      changes: diffSnapshots({}, snapshotVerification(verification)),
+    });
+
     if (existingRequest && existingRequest.status === "rejected") {
       console.log(
-        `🔄 New request created for userId ${userId} after previous rejection (ID: ${existingRequest._id})`
+        `🔄 Attempt ${attemptNumber} created for userId ${userId} after previous rejection (ID: ${existingRequest._id})`
       );
     }
 
@@ -222,135 +341,42 @@ router.post("/submit", upload.array("photos", 3), async (req, res) => {
         photos: verification.photos,
         status: verification.status,
         createdAt: verification.createdAt,
+        attemptNumber: verification.attemptNumber,
+        previousVerificationId: verification.previousVerificationId,
         isResubmission:
           existingRequest && existingRequest.status === "rejected",
       },
     });
   } catch (error) {
+    await discardPhotos(unsavedPhotos);
     console.error("❌ Verification submission error:", error);
-    res.status(500).json({
-      statusCode: 500,
-      message: "Failed to submit verification",
-      error: error.message,
-    });
+    next(new ApiError(500, "Failed to submit verification", { cause: error }));
   }
 });
 
 // ============================================
 // 2. ADMIN ROUTE (Specific path with :status parameter)
 // ============================================
-router.get("/admin/:status", async (req, res) => {
+router.get("/admin/:status", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.adminList), async (req, res, next) => {
   try {
     const { status } = req.params;
-    const allowed = ["pending", "approved", "rejected", "all"];
-
-    if (!allowed.includes(status)) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: `Invalid status. Allowed: ${allowed.join(", ")}`,
-      });
-    }
-
-    const page = Math.max(1, parseInt(req.query.page || "1", 10));
-    const limit = Math.max(
-      1,
-      Math.min(100, parseInt(req.query.limit || "10", 10))
-    );
-    const skip = (page - 1) * limit;
-
-    const query = {};
-
-    if (status !== "all") {
-      query.status = status;
-    }
-
-    const {
-      userId,
-      cropId,
-      phone,
-      fullName,
-      cropName,
-      village,
-      taluk,
-      district,
-      fromDate,
-      toDate,
-    } = req.query;
-
-    if (userId) {
-      query.userId = String(userId).trim();
-    }
-
-    if (cropId) {
-      query.cropId = String(cropId).trim();
-    }
-
-    if (phone) {
-      const escapedPhone = escapeRegex(String(phone).trim());
-      query.phone = new RegExp(escapedPhone, "i");
-    }
-
-    if (fullName) {
-      const escapedFullName = escapeRegex(String(fullName).trim());
-      query.fullName = new RegExp(escapedFullName, "i");
-    }
+    const { q, sort, order, cursor, limit, includeTotal } = req.query;
 
-    if (cropName) {
-      const escapedCropName = escapeRegex(String(cropName).trim());
-      query.cropName = new RegExp(escapedCropName, "i");
-    }
-
-    if (village) {
-      const escapedVillage = escapeRegex(String(village).trim());
-      query.village = new RegExp(escapedVillage, "i");
-    }
-
-    if (taluk) {
-      const escapedTaluk = escapeRegex(String(taluk).trim());
-      query.taluk = new RegExp(escapedTaluk, "i");
-    }
-
-    if (district) {
-      const escapedDistrict = escapeRegex(String(district).trim());
-      query.district = new RegExp(escapedDistrict, "i");
-    }
-
-    if (fromDate || toDate) {
-      query.createdAt = {};
-
-      if (fromDate) {
-        const f = new Date(String(fromDate));
-        if (!isNaN(f.getTime())) {
-          f.setUTCHours(0, 0, 0, 0);
-          query.createdAt.$gte = f;
-        }
-      }
-
-      if (toDate) {
-        const t = new Date(String(toDate));
-        if (!isNaN(t.getTime())) {
-          t.setUTCHours(23, 59, 59, 999);
-          query.createdAt.$lte = t;
-        }
-      }
-
-      if (Object.keys(query.createdAt).length === 0) {
-        delete query.createdAt;
-      }
+    const { query } = buildAdminQuery(status, req.query);
+    if (q) {
+      query.$text = { $search: q };
     }
 
     console.log('🔍 Applied Query Filters:', JSON.stringify(query, null, 2));
 
-    const [totalCount, requests] = await Promise.all([
-      Verification.countDocuments(query),
-      Verification.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
+    // Counting is a full scan of the matching set, so it is opt-in
+    const [page, totalCount] = await Promise.all([
+      paginate(Verification, query, { field: sort, order, limit, cursor }),
+      includeTotal ? Verification.countDocuments(query) : null,
     ]);
+    const requests = page.items;
 
-    console.log(`✅ Found ${totalCount} total results, returning ${requests.length} on page ${page}`);
+    console.log(`✅ Returning ${requests.length} results (hasNextPage: ${page.hasNextPage})`);
 
     const enriched = requests.map((v) => {
       const photoSummary = {
@@ -364,26 +390,21 @@ router.get("/admin/:status", async (req, res) => {
         pending: Array.isArray(v.photos)
           ? v.photos.filter((p) => p.status === "pending").length
           : 0,
+        flagged: Array.isArray(v.photos)
+          ? v.photos.filter((p) => isPhotoFlagged(p)).length
+          : 0,
+        duplicates: Array.isArray(v.photos)
+          ? v.photos.filter((p) => p.duplicates && p.duplicates.length > 0).length
+          : 0,
       };
 
       return {
         ...v,
         photoSummary,
+        duplicates: duplicateReport(v, req.baseUrl),
       };
     });
 
-    const appliedFilters = {};
-    if (userId) appliedFilters.userId = userId;
-    if (cropId) appliedFilters.cropId = cropId;
-    if (phone) appliedFilters.phone = phone;
-    if (fullName) appliedFilters.fullName = fullName;
-    if (cropName) appliedFilters.cropName = cropName;
-    if (village) appliedFilters.village = village;
-    if (taluk) appliedFilters.taluk = taluk;
-    if (district) appliedFilters.district = district;
-    if (fromDate) appliedFilters.fromDate = fromDate;
-    if (toDate) appliedFilters.toDate = toDate;
-
     res.json({
       statusCode: 200,
       message: `${
@@ -394,275 +415,1073 @@ router.get("/admin/:status", async (req, res) => {
       data: {
         requests: enriched,
         pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalCount / limit),
-          totalRequests: totalCount,
+          sort,
+          order,
           requestsPerPage: limit,
-          hasNextPage: page < Math.ceil(totalCount / limit),
-          hasPrevPage: page > 1,
+          nextCursor: page.nextCursor,
+          hasNextPage: page.hasNextPage,
+          ...(includeTotal && { totalRequests: totalCount }),
         },
       },
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
     console.error("❌ Error fetching admin verifications:", error);
-    res.status(500).json({
-      statusCode: 500,
-      message: "Error fetching requests",
-      error: error.message,
-    });
+    next(new ApiError(500, "Error fetching requests", { cause: error }));
   }
 });
 
 // ============================================
-// 3. USER CURRENT STATUS (Specific multi-segment path)
+// 3. ADMIN EXPORT (Same filters as /admin/:status, streamed as CSV/XLSX)
 // ============================================
-router.get("/crop/:cropId/current-status", async (req, res) => {
+router.get("/admin/:status/export", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.adminExport), async (req, res) => {
+  const { status } = req.params;
+  const { format } = req.query;
+  const exporter = EXPORT_FORMATS[format];
+
+  const { query } = buildAdminQuery(status, req.query);
+
+  // No limit: the cursor streams every matching document in batches
+  const cursor = Verification.find(query)
+    .sort({ createdAt: -1 })
+    .select("-photos.phashBands -photos.exif")
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  const filename = `verifications_${status}_${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+  res.setHeader("Content-Type", exporter.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
   try {
-    const { cropId } = req.params;
+    const rows = await exporter.write(cursor, res);
+    console.log(`📦 ${req.reviewer.email} exported ${rows} ${status} verifications as ${format}`);
+  } catch (error) {
+    console.error("❌ Error exporting verifications:", error);
+    // Headers are already sent, so the only option left is to abort the download
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+});
 
-    const latestVerification = await Verification.findOne({ cropId }).sort({
-      createdAt: -1,
-    });
+// ============================================
+// 4. MAP EXPORT (GeoJSON / KML of verification locations)
+// ============================================
+router.get("/export/locations", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.locationExport), async (req, res) => {
+  const { status, format } = req.query;
+  const exporter = GEO_EXPORT_FORMATS[format];
 
-    if (!latestVerification) {
-      return res.json({
-        statusCode: 200,
-        message: "No verification requests found",
-        data: {
-          hasVerification: false,
-          canSubmit: true,
-          status: null,
-        },
-      });
-    }
+  // district, cropName, cropId, fromDate, toDate... as in /admin/:status
+  const { query } = buildAdminQuery(status, req.query);
 
-    const photoSummary = {
-      total: latestVerification.photos.length,
-      approved: latestVerification.photos.filter((p) => p.status === "approved")
-        .length,
-      rejected: latestVerification.photos.filter((p) => p.status === "rejected")
-        .length,
-      pending: latestVerification.photos.filter((p) => p.status === "pending")
-        .length,
-    };
+  const cursor = Verification.find(query)
+    .sort({ createdAt: -1 })
+    .select("userId cropId cropName fullName village taluk district status location photos.url photos.status createdAt reviewedAt")
+    .lean()
+    .cursor({ batchSize: 500 });
 
-    let canSubmit = false;
-    let blockMessage = null;
+  const filename = `verification_locations_${status}_${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+  res.setHeader("Content-Type", exporter.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
 
-    switch (latestVerification.status) {
-      case "pending":
-        canSubmit = false;
-        blockMessage = "Your request is under review by the support team.";
-        break;
+  try {
+    const count = await exporter.write(cursor, res);
+    console.log(`🗺️ ${req.reviewer.email} exported ${count} ${status} locations as ${format}`);
+  } catch (error) {
+    console.error("❌ Error exporting locations:", error);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+});
 
-      case "approved":
-        canSubmit = false;
-        blockMessage = "Cannot submit new request. This crop is already verified.";
-        break;
+// ============================================
+// 5. AUDIT EVENT SEARCH (Across all verifications)
+// ============================================
+router.get("/audit/events", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.auditEvents), async (req, res, next) => {
+  try {
+    const { reviewer, action, verificationId, cropId, fromDate, toDate, page, limit } = req.query;
+    const skip = (page - 1) * limit;
 
-      case "rejected":
-        canSubmit = true;
-        blockMessage = null;
-        break;
+    const query = {};
 
-      default:
-        canSubmit = false;
-        blockMessage = "Unknown status. Please contact support.";
+    if (reviewer) {
+      query["actor.email"] = reviewer;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (verificationId) {
+      query.verificationId = verificationId;
+    }
+
+    if (cropId) {
+      query.cropId = cropId;
+    }
+
+    const createdAtRange = buildDateRange(fromDate, toDate);
+    if (createdAtRange) {
+      query.createdAt = createdAtRange;
     }
 
+    const [totalCount, events] = await Promise.all([
+      AuditEvent.countDocuments(query),
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ]);
+
     res.json({
       statusCode: 200,
-      message: "Current status fetched successfully",
+      message: "Audit events fetched successfully",
       data: {
-        hasVerification: true,
-        canSubmit: canSubmit,
-        blockMessage: blockMessage,
-        verification: {
-          id: latestVerification._id,
-          status: latestVerification.status,
-          rejectionReason: latestVerification.rejectionReason,
-          rejectionNotes: latestVerification.rejectionNotes,
-          photoSummary,
-          createdAt: latestVerification.createdAt,
-          reviewedAt: latestVerification.reviewedAt,
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalEvents: totalCount,
+          eventsPerPage: limit,
+          hasNextPage: page < Math.ceil(totalCount / limit),
+          hasPrevPage: page > 1,
         },
       },
     });
   } catch (error) {
-    res.status(500).json({
-      statusCode: 500,
-      message: "Error fetching current status",
-      error: error.message,
-    });
+    console.error("❌ Error fetching audit events:", error);
+    next(new ApiError(500, "Error fetching audit events", { cause: error }));
   }
 });
 
-
 // ============================================
-// 4. USER VERIFICATIONS (Specific path)
+// 6. NEARBY VERIFICATIONS (Around a point)
 // ============================================
-router.get("/user/:userId", async (req, res) => {
+router.get("/nearby", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.nearby), async (req, res, next) => {
   try {
-    const verifications = await Verification.find({
-      userId: req.params.userId,
-    }).sort({ createdAt: -1 });
+    const { lng, lat } = req.query;
 
-    const enhancedVerifications = verifications.map((v) => {
-      const photoSummary = {
-        total: v.photos.length,
-        approved: v.photos.filter((p) => p.status === "approved").length,
-        rejected: v.photos.filter((p) => p.status === "rejected").length,
-        pending: v.photos.filter((p) => p.status === "pending").length,
-      };
+    const { radiusMeters, limit, query } = parseNearbyOptions(req.query);
 
-      return {
-        ...v.toObject(),
-        photoSummary,
-      };
+    const verifications = await findNearbyVerifications({
+      coordinates: [lng, lat],
+      radiusMeters,
+      query,
+      limit,
     });
 
     res.json({
       statusCode: 200,
-      data: enhancedVerifications,
+      message: "Nearby verifications fetched successfully",
+      data: {
+        center: { lng, lat },
+        radiusMeters,
+        count: verifications.length,
+        verifications,
+      },
     });
   } catch (error) {
-    res.status(500).json({
-      statusCode: 500,
-      message: "Error fetching verifications",
-      error: error.message,
-    });
+    console.error("❌ Error fetching nearby verifications:", error);
+    next(new ApiError(500, "Error fetching nearby verifications", { cause: error }));
   }
 });
 
 // ============================================
-// 5. REVIEW IMAGES (Specific action on :id)
+// 7. REVIEW QUEUE: CLAIM NEXT (Oldest unclaimed pending request)
 // ============================================
-router.patch("/:id/review-images", async (req, res) => {
+router.post("/queue/next", authenticate, requireRole("reviewer", "supervisor"), validate(schemas.queueNext), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { approvedPhotoIds } = req.body;
-
-    if (!approvedPhotoIds || !Array.isArray(approvedPhotoIds)) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: "approvedPhotoIds must be an array",
-      });
-    }
+    // Same optional filters as /admin/pending (district, cropName, ...)
+    const { query } = buildAdminQuery("pending", req.query);
 
-    const verification = await Verification.findById(id);
+    const verification = await claimNext(req.reviewer, query);
 
     if (!verification) {
-      return res.status(404).json({
-        statusCode: 404,
-        message: "Verification request not found",
-      });
-    }
-
-    if (verification.status !== "pending") {
-      return res.status(400).json({
-        statusCode: 400,
-        message: `Cannot review images. Request is already ${verification.status}`,
+      return res.json({
+        statusCode: 200,
+        message: "No unclaimed pending requests",
+        data: null,
       });
     }
 
-    verification.photos.forEach((photo) => {
-      if (approvedPhotoIds.includes(photo._id.toString())) {
-        photo.status = "approved";
-      } else {
-        photo.status = "rejected";
-      }
+    await recordAudit({
+      verification,
+      action: "claimed",
+      req,
+      changes: [{ field: "claim.reviewerEmail", before: null, after: req.reviewer.email }],
     });
 
-    await verification.save();
-
-    const approvedCount = verification.photos.filter(
-      (p) => p.status === "approved"
-    ).length;
-    const rejectedCount = verification.photos.filter(
-      (p) => p.status === "rejected"
-    ).length;
+    console.log(`📥 ${req.reviewer.email} claimed verification ${verification._id}`);
 
     res.json({
       statusCode: 200,
-      message: "Image review completed successfully",
-      data: {
-        id: verification._id,
-        photos: verification.photos,
-        summary: {
-          total: verification.photos.length,
-          approved: approvedCount,
-          rejected: rejectedCount,
-        },
-      },
+      message: `Request claimed for ${LEASE_MINUTES} minutes`,
+      data: verification,
     });
   } catch (error) {
-    console.error("Error reviewing images:", error);
-    res.status(500).json({
-      statusCode: 500,
-      message: "Error reviewing images",
-      error: error.message,
+    console.error("❌ Error claiming next request:", error);
+    next(new ApiError(500, "Error claiming next request", { cause: error }));
+  }
+});
+
+// ============================================
+// 8. REVIEW QUEUE: ACTIVE CLAIMS (Supervisor overview)
+// ============================================
+router.get("/queue/claims", authenticate, requireRole("supervisor"), async (req, res, next) => {
+  try {
+    const claims = await Verification.find({
+      status: "pending",
+      "claim.expiresAt": { $gt: new Date() },
+    })
+      .sort({ "claim.claimedAt": 1 })
+      .select("userId cropId cropName fullName district createdAt claim")
+      .lean();
+
+    res.json({
+      statusCode: 200,
+      message: "Active claims fetched successfully",
+      data: claims,
+    });
+  } catch (error) {
+    console.error("❌ Error fetching claims:", error);
+    next(new ApiError(500, "Error fetching claims", { cause: error }));
+  }
+});
+
+// ============================================
+// 9. BULK REVIEW (Many pending requests in one call)
+// ============================================
+// Body: { action, ids: [...] } or { action, filter: { ...same as /admin/:status } }
+//   approve-photos  approve every photo (review-images with all ids)
+//   approve         finalize as approved; needs locationType
+//   reject          finalize as rejected; needs rejectionReason
+// Requests are claimed automatically unless another reviewer holds them.
+// Each item succeeds or fails on its own; the batch is never rolled back.
+router.post("/bulk", authenticate, requireRole("reviewer", "supervisor"), validate(schemas.bulk), async (req, res, next) => {
+  try {
+    const { action, ids, filter, locationType, rejectionReason, rejectionNotes } = req.body;
+    const finalStatus = { approve: "approved", reject: "rejected" }[action];
+
+    // A filter only ever selects pending requests, oldest first
+    let targetIds = ids || [];
+    let hasMore = false;
+
+    if (filter) {
+      const { query } = buildAdminQuery("pending", filter);
+      const matched = await Verification.find(query)
+        .sort({ createdAt: 1 })
+        .limit(schemas.BULK_MAX_ITEMS + 1)
+        .select("_id")
+        .lean();
+
+      hasMore = matched.length > schemas.BULK_MAX_ITEMS;
+      targetIds = matched.slice(0, schemas.BULK_MAX_ITEMS).map((v) => v._id.toString());
+    }
+
+    console.log(`📦 ${req.reviewer.email} bulk ${action} on ${targetIds.length} request(s)`);
+
+    const results = [];
+
+    // One at a time: every item makes its own crop API call and notification
+    for (const id of targetIds) {
+      let autoClaimed = false;
+
+      try {
+        let verification = await Verification.findById(id);
+
+        if (!verification) {
+          throw new ReviewError(404, "Verification request not found");
+        }
+
+        if (verification.status !== "pending") {
+          throw new ReviewError(400, `Request is already ${verification.status}`);
+        }
+
+        if (!holdsLease(verification, req.reviewer)) {
+          const claimed = await claimById(id, req.reviewer);
+          if (!claimed) {
+            const latest = await Verification.findById(id);
+            if (latest && latest.status !== "pending") {
+              throw new ReviewError(400, `Request is already ${latest.status}`);
+            }
+            throw leaseError(latest || verification);
+          }
+          verification = claimed;
+          autoClaimed = true;
+        }
+
+        let outcome;
+        let cropSync = null;
+        if (action === "approve-photos") {
+          outcome = await reviewPhotos({
+            verification,
+            approvedPhotoIds: verification.photos.map((p) => p._id.toString()),
+            reviewer: req.reviewer,
+            expectedVersion: verification.__v,
+            req,
+          });
+        } else {
+          ({ verification: outcome, cropSync } = await finalizeVerification({
+            verification,
+            status: finalStatus,
+            rejectionReason,
+            rejectionNotes,
+            locationType,
+            reviewer: req.reviewer,
+            expectedVersion: verification.__v,
+            req,
+            // Queued for the crop sync worker; an inline attempt per item
+            // would hold this request open through a crop API outage
+            inlineSync: false,
+          }));
+        }
+
+        results.push({
+          id,
+          ok: true,
+          statusCode: 200,
+          status: outcome.status,
+          version: outcome.__v,
+          autoClaimed,
+          cropSync,
+        });
+      } catch (error) {
+        // Don't leave a lease behind on a request we only claimed for this batch
+        if (autoClaimed) {
+          await releaseClaim(id, req.reviewer).catch(() => null);
+        }
+
+        if (error instanceof ReviewError) {
+          results.push({
+            id,
+            ok: false,
+            statusCode: error.statusCode,
+            message: error.message,
+            data: error.data,
+          });
+        } else {
+          console.error(`❌ Bulk ${action} failed for ${id}:`, error);
+          results.push({
+            id,
+            ok: false,
+            statusCode: 500,
+            message: error.message,
+          });
+        }
+      }
+    }
+
+    const succeeded = results.filter((r) => r.ok).length;
+
+    res.json({
+      statusCode: 200,
+      message: `Bulk ${action}: ${succeeded} succeeded, ${results.length - succeeded} failed`,
+      data: {
+        action,
+        summary: {
+          requested: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+          hasMore,
+        },
+        results,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error in bulk review:", error);
+    next(new ApiError(500, "Error in bulk review", { cause: error }));
+  }
+});
+
+// ============================================
+// 10. USER CURRENT STATUS (Specific multi-segment path)
+// ============================================
+router.get("/crop/:cropId/current-status", validate(schemas.cropStatus), async (req, res, next) => {
+  try {
+    const { cropId } = req.params;
+
+    const latestVerification = await Verification.findOne({ cropId }).sort({
+      createdAt: -1,
+    });
+
+    if (!latestVerification) {
+      return res.json({
+        statusCode: 200,
+        message: "No verification requests found",
+        data: {
+          hasVerification: false,
+          canSubmit: true,
+          status: null,
+        },
+      });
+    }
+
+    const photoSummary = {
+      total: latestVerification.photos.length,
+      approved: latestVerification.photos.filter((p) => p.status === "approved")
+        .length,
+      rejected: latestVerification.photos.filter((p) => p.status === "rejected")
+        .length,
+      pending: latestVerification.photos.filter((p) => p.status === "pending")
+        .length,
+    };
+
+    let canSubmit = false;
+    let blockMessage = null;
+    const expiresAt = approvalExpiresAt(latestVerification);
+    const rejectedPhotoIds = latestVerification.photos
+      .filter((p) => p.status === "rejected")
+      .map((p) => p._id);
+
+    switch (latestVerification.status) {
+      case "pending":
+        canSubmit = false;
+        blockMessage = "Your request is under review by the support team.";
+        break;
+
+      case "approved":
+        // Past its expiry but not yet swept up by the expiry worker
+        if (isApprovalExpired(latestVerification)) {
+          canSubmit = true;
+          blockMessage = null;
+          break;
+        }
+        canSubmit = false;
+        blockMessage = expiresAt
+          ? `Cannot submit new request. This crop is verified until ${expiresAt.toISOString().slice(0, 10)}.`
+          : "Cannot submit new request. This crop is already verified.";
+        break;
+
+      case "expired":
+      case "revoked":
+        canSubmit = true;
+        blockMessage = null;
+        break;
+
+      case "rejected":
+        canSubmit = true;
+        blockMessage = null;
+        break;
+
+      default:
+        canSubmit = false;
+        blockMessage = "Unknown status. Please contact support.";
+    }
+
+    res.json({
+      statusCode: 200,
+      message: "Current status fetched successfully",
+      data: {
+        hasVerification: true,
+        canSubmit: canSubmit,
+        // Rejected photos can be swapped via POST /:id/replace-photos
+        // instead of submitting everything again
+        canReplacePhotos:
+          latestVerification.status === "rejected" && rejectedPhotoIds.length > 0,
+        blockMessage: blockMessage,
+        verification: {
+          id: latestVerification._id,
+          status: latestVerification.status,
+          rejectionReason: latestVerification.rejectionReason,
+          rejectionNotes: latestVerification.rejectionNotes,
+          photoSummary,
+          rejectedPhotoIds,
+          // What was wrong with each rejected photo, so the app can ask for exactly those
+          rejectedPhotos: rejectedPhotoDetails(latestVerification),
+          createdAt: latestVerification.createdAt,
+          reviewedAt: latestVerification.reviewedAt,
+          expiresAt,
+          expired: isApprovalExpired(latestVerification),
+          revocation:
+            latestVerification.status === "revoked"
+              ? {
+                  reason: latestVerification.revocationReason,
+                  reasonText: describeRejectionReason(latestVerification.revocationReason),
+                  notes: latestVerification.revocationNotes,
+                  revokedAt: latestVerification.revokedAt,
+                }
+              : null,
+        },
+      },
+    });
+  } catch (error) {
+    next(new ApiError(500, "Error fetching current status", { cause: error }));
+  }
+});
+
+
+// ============================================
+// 11. CROP VERIFICATION HISTORY (Every attempt for a cropId, oldest first)
+// ============================================
+router.get("/crop/:cropId/history", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.cropStatus), async (req, res, next) => {
+  try {
+    const { cropId } = req.params;
+
+    const verifications = await Verification.find({ cropId })
+      .sort({ createdAt: 1 })
+      .select("-photos.phashBands -photos.exif -photos.duplicates")
+      .lean();
+
+    if (verifications.length === 0) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "No verification requests found for this crop",
+      });
+    }
+
+    // Each finalize is one review; replacing photos reopens the same attempt
+    const events = await AuditEvent.find({
+      verificationId: { $in: verifications.map((v) => v._id) },
+      action: { $in: ["finalized", "photos_replaced"] },
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const changedTo = (event, field) => {
+      const change = event.changes.find((c) => c.field === field);
+      return change ? change.after : undefined;
+    };
+
+    const attempts = verifications.map((v, index) => {
+      const reviews = events
+        .filter((event) => event.verificationId.equals(v._id))
+        .map((event) => {
+          if (event.action === "photos_replaced") {
+            return { action: event.action, at: event.createdAt };
+          }
+          const rejectionReason = changedTo(event, "rejectionReason");
+          return {
+            action: event.action,
+            at: event.createdAt,
+            reviewer: event.actor.email,
+            status: changedTo(event, "status"),
+            rejectionReason,
+            rejectionReasonText: rejectionReason
+              ? describeRejectionReason(rejectionReason)
+              : undefined,
+            rejectionNotes: changedTo(event, "rejectionNotes"),
+          };
+        });
+
+      return {
+        id: v._id,
+        attemptNumber: v.attemptNumber || index + 1,
+        previousVerificationId:
+          v.previousVerificationId || (index > 0 ? verifications[index - 1]._id : null),
+        status: v.status,
+        rejectionReason: v.rejectionReason,
+        rejectionReasonText: v.rejectionReason
+          ? describeRejectionReason(v.rejectionReason)
+          : undefined,
+        rejectionNotes: v.rejectionNotes,
+        reviewedBy: v.reviewedBy,
+        reviewedAt: v.reviewedAt,
+        createdAt: v.createdAt,
+        photoSummary: {
+          total: v.photos.length,
+          approved: v.photos.filter((p) => p.status === "approved").length,
+          rejected: v.photos.filter((p) => p.status === "rejected").length,
+          pending: v.photos.filter((p) => p.status === "pending").length,
+          replaced: (v.replacedPhotos || []).length,
+        },
+        reviews,
+      };
+    });
+
+    res.json({
+      statusCode: 200,
+      message: "Verification history fetched successfully",
+      data: {
+        cropId,
+        cropName: verifications[verifications.length - 1].cropName,
+        totalAttempts: attempts.length,
+        currentStatus: attempts[attempts.length - 1].status,
+        attempts,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching crop history:", error);
+    next(new ApiError(500, "Error fetching crop history", { cause: error }));
+  }
+});
+
+// ============================================
+// 12. USER VERIFICATIONS (Specific path)
+// ============================================
+router.get("/user/:userId", validate(schemas.userVerifications), async (req, res, next) => {
+  try {
+    const verifications = await Verification.find({
+      userId: req.params.userId,
+    }).sort({ createdAt: -1 });
+
+    const enhancedVerifications = verifications.map((v) => {
+      const photoSummary = {
+        total: v.photos.length,
+        approved: v.photos.filter((p) => p.status === "approved").length,
+        rejected: v.photos.filter((p) => p.status === "rejected").length,
+        pending: v.photos.filter((p) => p.status === "pending").length,
+      };
+
+      return {
+        ...v.toObject(),
+        photoSummary,
+      };
+    });
+
+    res.json({
+      statusCode: 200,
+      data: enhancedVerifications,
+    });
+  } catch (error) {
+    next(new ApiError(500, "Error fetching verifications", { cause: error }));
+  }
+});
+
+// ============================================
+// 13. CLAIM A SPECIFIC REQUEST (Start or refresh a lease on :id)
+// ============================================
+router.post("/:id/claim", authenticate, requireRole("reviewer", "supervisor"), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const verification = await claimById(id, req.reviewer);
+
+    if (!verification) {
+      const existing = await Verification.findById(id);
+      if (!existing) {
+        return res.status(404).json({
+          statusCode: 404,
+          message: "Verification request not found",
+        });
+      }
+      if (existing.status !== "pending") {
+        return res.status(400).json({
+          statusCode: 400,
+          message: `Cannot claim. Request is already ${existing.status}`,
+        });
+      }
+      return sendReviewError(res, leaseError(existing));
+    }
+
+    await recordAudit({
+      verification,
+      action: "claimed",
+      req,
+      changes: [{ field: "claim.reviewerEmail", before: null, after: req.reviewer.email }],
+    });
+
+    res.json({
+      statusCode: 200,
+      message: `Request claimed for ${LEASE_MINUTES} minutes`,
+      data: { id: verification._id, claim: activeClaim(verification) },
+    });
+  } catch (error) {
+    console.error("❌ Error claiming request:", error);
+    next(new ApiError(500, "Error claiming request", { cause: error }));
+  }
+});
+
+// ============================================
+// 14. RENEW CLAIM (Holder extends their lease)
+// ============================================
+router.post("/:id/claim/renew", authenticate, requireRole("reviewer", "supervisor"), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const verification = await renewClaim(id, req.reviewer);
+
+    if (!verification) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: "You do not hold a claim on this request",
+      });
+    }
+
+    res.json({
+      statusCode: 200,
+      message: `Claim extended by ${LEASE_MINUTES} minutes`,
+      data: { id: verification._id, claim: activeClaim(verification) },
+    });
+  } catch (error) {
+    console.error("❌ Error renewing claim:", error);
+    next(new ApiError(500, "Error renewing claim", { cause: error }));
+  }
+});
+
+// ============================================
+// 15. RELEASE CLAIM (Holder, or any supervisor)
+// ============================================
+router.delete("/:id/claim", authenticate, requireRole("reviewer", "supervisor"), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await Verification.findById(id).select("cropId claim");
+
+    if (!existing) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Verification request not found",
+      });
+    }
+
+    const previous = activeClaim(existing);
+    const verification = await releaseClaim(id, req.reviewer, {
+      force: req.reviewer.role === "supervisor",
+    });
+
+    if (!verification) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: "You do not hold a claim on this request",
+      });
+    }
+
+    await recordAudit({
+      verification,
+      action: "claim_released",
+      req,
+      changes: [{ field: "claim.reviewerEmail", before: previous ? previous.reviewerEmail : null, after: null }],
+    });
+
+    res.json({
+      statusCode: 200,
+      message: "Claim released",
+      data: { id: verification._id, claim: null },
+    });
+  } catch (error) {
+    console.error("❌ Error releasing claim:", error);
+    next(new ApiError(500, "Error releasing claim", { cause: error }));
+  }
+});
+
+// ============================================
+// 16. REASSIGN CLAIM (Supervisor only)
+// ============================================
+router.post("/:id/claim/reassign", authenticate, requireRole("supervisor"), validate(schemas.reassignClaim), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reviewerId } = req.body;
+
+    const target = await Reviewer.findById(reviewerId);
+
+    if (!target || !target.active || !["reviewer", "supervisor"].includes(target.role)) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: "Target must be an active reviewer or supervisor",
+      });
+    }
+
+    const existing = await Verification.findById(id).select("cropId status claim");
+
+    if (!existing) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Verification request not found",
+      });
+    }
+
+    if (existing.status !== "pending") {
+      return res.status(400).json({
+        statusCode: 400,
+        message: `Cannot reassign. Request is already ${existing.status}`,
+      });
+    }
+
+    const previous = activeClaim(existing);
+    const verification = await reassignClaim(id, target);
+
+    // Finalized (or deleted) since the check above
+    if (!verification) {
+      const latest = await Verification.findById(id).select("status");
+      if (!latest) {
+        return res.status(404).json({
+          statusCode: 404,
+          message: "Verification request not found",
+        });
+      }
+      return res.status(400).json({
+        statusCode: 400,
+        message: `Cannot reassign. Request is already ${latest.status}`,
+      });
+    }
+
+    await recordAudit({
+      verification,
+      action: "claim_reassigned",
+      req,
+      changes: [{
+        field: "claim.reviewerEmail",
+        before: previous ? previous.reviewerEmail : null,
+        after: target.email,
+      }],
+    });
+
+    console.log(`🔀 ${req.reviewer.email} reassigned verification ${id} to ${target.email}`);
+
+    res.json({
+      statusCode: 200,
+      message: `Request reassigned to ${target.email}`,
+      data: { id: verification._id, claim: activeClaim(verification) },
     });
+  } catch (error) {
+    console.error("❌ Error reassigning claim:", error);
+    next(new ApiError(500, "Error reassigning claim", { cause: error }));
   }
 });
 
 // ============================================
-// 6. FINALIZE VERIFICATION (Specific action on :id)
+// 17. REVIEW IMAGES (Specific action on :id)
 // ============================================
-
-router.patch("/:id/finalize", async (req, res) => {
+router.patch("/:id/review-images", authenticate, requireRole("reviewer", "supervisor"), requireIfMatch, validate(schemas.reviewImages), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, rejectionReason, rejectionNotes, reviewedBy, locationType } = req.body;
+    const { approvedPhotoIds, photos } = req.body;
 
-    if (!status || !["approved", "rejected"].includes(status)) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: "Status must be 'approved' or 'rejected'",
+    const found = await Verification.findById(id);
+
+    if (!found) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Verification request not found",
       });
     }
 
-    if (status === "rejected" && !rejectionReason) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: "Rejection reason is required when rejecting a request",
+    const verification = await reviewPhotos({
+      verification: found,
+      approvedPhotoIds,
+      photos,
+      reviewer: req.reviewer,
+      expectedVersion: req.expectedVersion,
+      req,
+    });
+
+    const approvedCount = verification.photos.filter(
+      (p) => p.status === "approved"
+    ).length;
+    const rejectedCount = verification.photos.filter(
+      (p) => p.status === "rejected"
+    ).length;
+
+    res.setHeader("ETag", versionTag(verification));
+    res.json({
+      statusCode: 200,
+      message: "Image review completed successfully",
+      data: {
+        id: verification._id,
+        version: verification.__v,
+        photos: verification.photos,
+        summary: {
+          total: verification.photos.length,
+          approved: approvedCount,
+          rejected: rejectedCount,
+        },
+      },
+    });
+  } catch (error) {
+    if (error instanceof ReviewError) {
+      return sendReviewError(res, error);
+    }
+    console.error("Error reviewing images:", error);
+    next(new ApiError(500, "Error reviewing images", { cause: error }));
+  }
+});
+
+// ============================================
+// 18. FINALIZE VERIFICATION (Specific action on :id)
+// ============================================
+
+router.patch("/:id/finalize", authenticate, requireRole("reviewer", "supervisor"), requireIfMatch, validate(schemas.finalize), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, rejectionReason, rejectionNotes, locationType } = req.body;
+
+    const found = await Verification.findById(id);
+
+    if (!found) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Verification request not found",
       });
     }
 
-    const validRejectionReasons = [
-      'poor_photo_quality',
-      'face_not_visible',
-      'incorrect_location',
-      'insufficient_photos',
-      'duplicate_request',
-      'crop_mismatch',
-      'fake_or_manipulated',
-      'incomplete_information',
-      'suspicious_activity',
-      'other'
-    ];
+    const { verification, cropUpdateResult, cropSync } = await finalizeVerification({
+      verification: found,
+      status,
+      rejectionReason,
+      rejectionNotes,
+      locationType,
+      reviewer: req.reviewer,
+      expectedVersion: req.expectedVersion,
+      req,
+    });
 
-    if (status === "rejected" && !validRejectionReasons.includes(rejectionReason)) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: `Invalid rejection reason. Must be one of: ${validRejectionReasons.join(', ')}`,
+    res.setHeader("ETag", versionTag(verification));
+    res.json({
+      statusCode: 200,
+      message: `Verification request ${status} successfully`,
+      data: {
+        id: verification._id,
+        version: verification.__v,
+        userId: verification.userId,
+        cropId: verification.cropId,
+        status: verification.status,
+        rejectionReason: verification.rejectionReason,
+        rejectionNotes: verification.rejectionNotes,
+        reviewedAt: verification.reviewedAt,
+        reviewedBy: verification.reviewedBy,
+        locationType: verification.location.locationType,
+        photos: verification.photos,
+        cropUpdateResult: cropUpdateResult, // Include the crop API response
+        cropSync: cropSync,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ReviewError) {
+      return sendReviewError(res, error);
+    }
+    console.error("Error finalizing verification:", error);
+    next(new ApiError(500, "Error finalizing verification", { cause: error }));
+  }
+});
+
+// ============================================
+// 19. REVOKE APPROVAL (Supervisor only)
+// ============================================
+router.post("/:id/revoke", authenticate, requireRole("supervisor"), requireIfMatch, validate(schemas.revoke), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason, notes } = req.body;
+
+    const verification = await Verification.findById(id);
+
+    if (!verification) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Verification request not found",
       });
     }
 
-    if (status === "approved" && !locationType) {
+    // Expired approvals may still have photos on the crop listing
+    if (!["approved", "expired"].includes(verification.status)) {
       return res.status(400).json({
         statusCode: 400,
-        message:
-          "locationType (farm/village) is required when approving a request",
+        message: `Only approved requests can be revoked. Request is ${verification.status}`,
       });
     }
 
-    if (locationType && !["farm", "village"].includes(locationType)) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: "locationType must be 'farm' or 'village'",
+    // A newer request for the crop owns the listing now; revoking this one
+    // would take down its images and coordinates
+    const latest = await Verification.findOne({ cropId: verification.cropId })
+      .sort({ createdAt: -1 })
+      .select("_id");
+
+    if (!latest._id.equals(verification._id)) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: "A newer request exists for this crop",
+        data: { latestRequestId: latest._id },
       });
     }
 
+    if (verification.__v !== req.expectedVersion) {
+      return staleVersion(res, verification.__v);
+    }
+
+    const before = snapshotVerification(verification);
+    const now = new Date();
+
+    const revoked = await Verification.findOneAndUpdate(
+      {
+        _id: verification._id,
+        __v: req.expectedVersion,
+        status: verification.status,
+      },
+      {
+        $set: {
+          status: "revoked",
+          revokedAt: now,
+          revokedBy: req.reviewer.email,
+          revocationReason: reason,
+          revocationNotes: notes || undefined,
+          updatedAt: now,
+        },
+        $inc: { __v: 1 },
+      },
+      { new: true }
+    );
+
+    if (!revoked) {
+      const current = await Verification.findById(id).select("__v");
+      return staleVersion(res, current ? current.__v : undefined);
+    }
+
+    console.log(`🚫 ${req.reviewer.email} revoked verification ${id} (${reason})`);
+
+    await recordAudit({
+      verification: revoked,
+      action: "revoked",
+      req,
+      changes: diffSnapshots(before, snapshotVerification(revoked)),
+    });
+
+    notifyVerificationOutcome(revoked).catch((error) => {
+      console.error(`❌ Failed to queue revoked notification for ${revoked._id}:`, error);
+    });
+
+    // Take back the images and coordinates finalize pushed to the crop
+    const job = await enqueueCropSync({
+      verification: revoked,
+      operation: "remove_images_location",
+      payload: { reason },
+      createdBy: req.reviewer.email,
+    });
+    const attempted = await processCropSyncJob(job._id);
+
+    if (attempted.status !== "succeeded") {
+      console.warn(`⚠️ Verification revoked but crop update failed for cropId: ${revoked.cropId}. Job ${attempted._id} will retry.`);
+    }
+
+    res.setHeader("ETag", versionTag(revoked));
+    res.json({
+      statusCode: 200,
+      message: "Verification revoked successfully",
+      data: {
+        id: revoked._id,
+        version: revoked.__v,
+        userId: revoked.userId,
+        cropId: revoked.cropId,
+        status: revoked.status,
+        revocationReason: revoked.revocationReason,
+        revocationNotes: revoked.revocationNotes,
+        revokedAt: revoked.revokedAt,
+        revokedBy: revoked.revokedBy,
+        cropSync: {
+          jobId: attempted._id,
+          status: attempted.status,
+          attempts: attempted.attempts,
+          nextAttemptAt: attempted.status === "pending" ? attempted.nextAttemptAt : null,
+          lastError: attempted.lastError || null,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error revoking verification:", error);
+    next(new ApiError(500, "Error revoking verification", { cause: error }));
+  }
+});
+
+// ============================================
+// 20. UPDATE LOCATION TYPE (Specific action on :id)
+// ============================================
+router.patch("/:id/update-location-type", authenticate, requireRole("reviewer", "supervisor"), requireIfMatch, validate(schemas.updateLocationType), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { locationType } = req.body;
+
     const verification = await Verification.findById(id);
 
     if (!verification) {
@@ -672,126 +1491,257 @@ router.patch("/:id/finalize", async (req, res) => {
       });
     }
 
-    if (verification.status !== "pending") {
+    if (verification.__v !== req.expectedVersion) {
+      return staleVersion(res, verification.__v);
+    }
+
+    const before = snapshotVerification(verification);
+
+    verification.location.locationType = locationType;
+    await verification.save();
+
+    await recordAudit({
+      verification,
+      action: "location_type_updated",
+      req,
+      changes: diffSnapshots(before, snapshotVerification(verification)),
+    });
+
+    res.setHeader("ETag", versionTag(verification));
+    res.json({
+      statusCode: 200,
+      message: "Location type updated successfully",
+      data: {
+        id: verification._id,
+        version: verification.__v,
+        locationType: verification.location.locationType,
+        coordinates: verification.location.coordinates,
+      },
+    });
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return staleVersion(res);
+    }
+    console.error("Error updating location type:", error);
+    next(new ApiError(500, "Error updating location type", { cause: error }));
+  }
+});
+
+// ============================================
+// 21. REPLACE REJECTED PHOTOS (Farmer re-uploads only what was rejected)
+// ============================================
+router.post("/:id/replace-photos", authenticateFarmer, upload.array("photos", 3), validate(schemas.replacePhotos), async (req, res, next) => {
+  let unsavedPhotos = [];
+  try {
+    const { id } = req.params;
+    const { photoIds } = req.body;
+
+    if (!req.files || req.files.length !== photoIds.length) {
       return res.status(400).json({
         statusCode: 400,
-        message: `Request is already ${verification.status}`,
+        message: "Validation failed",
+        details: [{ location: "body", field: "photos", message: "Send exactly one photo for each photoId, in the same order" }],
       });
     }
 
-    // Get approved photos
-    const approvedPhotos = verification.photos.filter(
-      (p) => p.status === "approved"
-    );
+    const verification = await Verification.findById(id);
 
-    if (status === "approved" && approvedPhotos.length === 0) {
-      return res.status(400).json({
-        statusCode: 400,
-        message:
-          "Cannot approve request. At least one photo must be approved first.",
+    if (!verification) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Verification not found",
       });
     }
 
-    // Update verification status
-    verification.status = status;
-    verification.reviewedAt = new Date();
+    if (String(verification.userId) !== req.farmer.userId) {
+      console.warn(`🚫 User ${req.farmer.userId} attempted to replace photos on verification ${id} they do not own`);
+      return res.status(403).json({
+        statusCode: 403,
+        message: "You are not the owner of this crop",
+      });
+    }
 
-    if (reviewedBy) {
-      verification.reviewedBy = reviewedBy;
+    if (verification.status !== "rejected") {
+      return res.status(409).json({
+        statusCode: 409,
+        message: `Only rejected requests can have photos replaced. Request is ${verification.status}`,
+        data: { status: verification.status },
+      });
     }
 
-    if (status === "rejected") {
-      verification.rejectionReason = rejectionReason;
-      if (rejectionNotes) {
-        verification.rejectionNotes = rejectionNotes;
-      }
+    // A newer request for the crop supersedes this one
+    const latest = await Verification.findOne({ cropId: verification.cropId })
+      .sort({ createdAt: -1 })
+      .select("_id");
+
+    if (!latest._id.equals(verification._id)) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: "A newer request exists for this crop",
+        data: { latestRequestId: latest._id },
+      });
     }
 
-    if (status === "approved" && locationType) {
-      verification.location.locationType = locationType;
+    const invalidIds = photoIds.filter((photoId) => {
+      const photo = verification.photos.id(photoId);
+      return !photo || photo.status !== "rejected";
+    });
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: "Only rejected photos of this request can be replaced",
+        data: {
+          invalidPhotoIds: invalidIds,
+          rejectedPhotoIds: verification.photos
+            .filter((p) => p.status === "rejected")
+            .map((p) => p._id),
+        },
+      });
     }
 
-    await verification.save();
+    console.log(`Replacing ${photoIds.length} rejected photo(s) on verification ${id}`);
 
-    // 🆕 PATCH CROP API - Update images and location if there are approved photos
-    let cropUpdateResult = null;
-    if (approvedPhotos.length > 0) {
-      try {
-        const updatePayload = {
-          images: approvedPhotos.map(photo => photo.url),
-          coordinates: [
-            verification.location.coordinates[0], // longitude
-            verification.location.coordinates[1]  // latitude
-          ]
-        };
-
-        console.log(`📤 Patching crop ${verification.cropId} with approved images and location:`, updatePayload);
-
-        const cropUpdateResponse = await axios.patch(
-          `${CROP_API_URL}/crop/${verification.cropId}/images-location`,
-          updatePayload,
-          {
-            headers: {
-              'Content-Type': 'application/json'
-            }
-          }
-        );
+    const newPhotos = await processPhotos(req.files, {
+      coordinates: verification.location.coordinates,
+      namePrefix: `${verification.userId}_${verification.cropId}_r${verification.replacedPhotos.length}`,
+      excludeVerificationId: verification._id,
+      userId: verification.userId,
+      cropId: verification.cropId,
+    });
+    unsavedPhotos = newPhotos;
+
+    const before = snapshotVerification(verification);
+    const replaced = [];
+
+    photoIds.forEach((photoId, index) => {
+      const oldPhoto = verification.photos.id(photoId);
+      const position = verification.photos.indexOf(oldPhoto);
+
+      verification.photos.splice(position, 1, newPhotos[index]);
+      const newPhoto = verification.photos[position];
+
+      verification.replacedPhotos.push({
+        photoId: oldPhoto._id,
+        replacedBy: newPhoto._id,
+        url: oldPhoto.url,
+        storage: oldPhoto.storage,
+        phash: oldPhoto.phash,
+        rejectionReason: oldPhoto.rejectionReason || verification.rejectionReason,
+        reviewNote: oldPhoto.reviewNote,
+        annotations: oldPhoto.annotations,
+      });
+      replaced.push({ oldPhotoId: oldPhoto._id, newPhotoId: newPhoto._id, url: newPhoto.url });
+    });
 
-        cropUpdateResult = cropUpdateResponse.data;
-        console.log(`✅ Successfully updated crop ${verification.cropId}:`, cropUpdateResult);
+    // Back into the queue; approved photos keep their status
+    verification.status = "pending";
+    verification.rejectionReason = undefined;
+    verification.rejectionNotes = undefined;
+    verification.reviewedAt = undefined;
+    verification.reviewedBy = undefined;
+    verification.claim = undefined;
 
-      } catch (cropUpdateError) {
-        console.error(`❌ Error updating crop ${verification.cropId}:`, cropUpdateError.message);
-        
-        // Log the error but don't fail the entire finalization
-        // The verification is still saved successfully
-        console.warn(`⚠️ Verification finalized but crop update failed for cropId: ${verification.cropId}`);
-      }
+    await verification.save();
+    unsavedPhotos = [];
+
+    console.log(`✅ Verification ${id} back to pending with ${replaced.length} replaced photo(s)`);
+
+    if (hasDuplicates(newPhotos)) {
+      console.warn(`⚠️ Replacement photos on verification ${id} reuse photos from other verifications`);
+      await linkDuplicatesBack(
+        verification,
+        replaced.map(({ newPhotoId }) => verification.photos.id(newPhotoId))
+      );
     }
 
+    await recordAudit({
+      verification,
+      action: "photos_replaced",
+      req,
+      changes: diffSnapshots(before, snapshotVerification(verification)),
+    });
+
     res.json({
       statusCode: 200,
-      message: `Verification request ${status} successfully`,
+      message: "Photos replaced. Your request is back under review.",
       data: {
         id: verification._id,
-        userId: verification.userId,
         cropId: verification.cropId,
         status: verification.status,
-        rejectionReason: verification.rejectionReason,
-        rejectionNotes: verification.rejectionNotes,
-        reviewedAt: verification.reviewedAt,
-        reviewedBy: verification.reviewedBy,
-        locationType: verification.location.locationType,
+        replaced,
         photos: verification.photos,
-        cropUpdateResult: cropUpdateResult, // Include the crop API response
+        version: verification.__v,
       },
     });
   } catch (error) {
-    console.error("Error finalizing verification:", error);
-    res.status(500).json({
-      statusCode: 500,
-      message: "Error finalizing verification",
-      error: error.message,
-    });
+    await discardPhotos(unsavedPhotos);
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: "This request changed while the photos were uploading. Please try again.",
+      });
+    }
+    console.error("❌ Error replacing photos:", error);
+    next(new ApiError(500, "Error replacing photos", { cause: error }));
   }
 });
 
 // ============================================
-// 7. UPDATE LOCATION TYPE (Specific action on :id)
+// 22. NEARBY VERIFICATIONS (Around an existing :id)
 // ============================================
-router.patch("/:id/update-location-type", async (req, res) => {
+router.get("/:id/nearby", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.nearbyById), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { locationType } = req.body;
 
-    if (!locationType || !["farm", "village"].includes(locationType)) {
-      return res.status(400).json({
-        statusCode: 400,
-        message: "locationType must be 'farm' or 'village'",
+    const verification = await Verification.findById(id).select("location userId");
+
+    if (!verification) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: "Verification request not found",
       });
     }
 
-    const verification = await Verification.findById(id);
+    const { radiusMeters, limit, query } = parseNearbyOptions(req.query);
+    query._id = { $ne: verification._id };
+
+    const verifications = await findNearbyVerifications({
+      coordinates: verification.location.coordinates,
+      radiusMeters,
+      query,
+      limit,
+    });
+
+    res.json({
+      statusCode: 200,
+      message: "Nearby verifications fetched successfully",
+      data: {
+        id: verification._id,
+        center: {
+          lng: verification.location.coordinates[0],
+          lat: verification.location.coordinates[1],
+        },
+        radiusMeters,
+        count: verifications.length,
+        distinctUsers: new Set(verifications.map((v) => v.userId)).size,
+        verifications,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching nearby verifications:", error);
+    next(new ApiError(500, "Error fetching nearby verifications", { cause: error }));
+  }
+});
+
+// ============================================
+// 23. VERIFICATION TIMELINE (Audit history for one :id)
+// ============================================
+router.get("/:id/timeline", authenticate, requireRole("viewer", "reviewer", "supervisor"), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const verification = await Verification.findById(id).select("_id cropId status");
 
     if (!verification) {
       return res.status(404).json({
@@ -800,32 +1750,30 @@ router.patch("/:id/update-location-type", async (req, res) => {
       });
     }
 
-    verification.location.locationType = locationType;
-    await verification.save();
+    const events = await AuditEvent.find({ verificationId: id })
+      .sort({ createdAt: 1 })
+      .lean();
 
     res.json({
       statusCode: 200,
-      message: "Location type updated successfully",
+      message: "Timeline fetched successfully",
       data: {
         id: verification._id,
-        locationType: verification.location.locationType,
-        coordinates: verification.location.coordinates,
+        cropId: verification.cropId,
+        status: verification.status,
+        events,
       },
     });
   } catch (error) {
-    console.error("Error updating location type:", error);
-    res.status(500).json({
-      statusCode: 500,
-      message: "Error updating location type",
-      error: error.message,
-    });
+    console.error("❌ Error fetching timeline:", error);
+    next(new ApiError(500, "Error fetching timeline", { cause: error }));
   }
 });
 
 // ============================================
-// 8. GET VERIFICATION BY ID (Generic :id route - MUST BE LAST)
+// 24. GET VERIFICATION BY ID (Generic :id route - MUST BE LAST)
 // ============================================
-router.get("/:id", async (req, res) => {
+router.get("/:id", authenticateIfPresent, validate(schemas.byId), async (req, res, next) => {
   try {
     const verification = await Verification.findById(req.params.id);
     if (!verification) {
@@ -842,25 +1790,47 @@ router.get("/:id", async (req, res) => {
       rejected: verification.photos.filter((p) => p.status === "rejected")
         .length,
       pending: verification.photos.filter((p) => p.status === "pending").length,
+      flagged: verification.photos.filter((p) => isPhotoFlagged(p)).length,
+      duplicates: verification.photos.filter((p) => p.duplicates && p.duplicates.length > 0).length,
     };
 
+    res.setHeader("ETag", versionTag(verification));
+
+    if (req.reviewer) {
+      return res.json({
+        statusCode: 200,
+        data: {
+          ...verification.toObject(),
+          version: verification.__v,
+          photoSummary,
+          rejectedPhotos: rejectedPhotoDetails(verification),
+          duplicates: duplicateReport(verification, req.baseUrl),
+        },
+      });
+    }
+
+    // Public view: nothing about other farmers' requests, camera GPS or
+    // which reviewer holds the request
+    const { claim, locationCluster, ...publicFields } = verification.toObject();
+    const { duplicates, ...publicSummary } = photoSummary;
+
     res.json({
       statusCode: 200,
       data: {
-        ...verification.toObject(),
-        photoSummary,
+        ...publicFields,
+        photos: publicFields.photos.map(({ duplicates, exif, phash, phashBands, ...photo }) => photo),
+        replacedPhotos: (publicFields.replacedPhotos || []).map(({ phash, ...photo }) => photo),
+        version: verification.__v,
+        photoSummary: publicSummary,
+        rejectedPhotos: rejectedPhotoDetails(verification),
       },
     });
   } catch (error) {
-    res.status(500).json({
-      statusCode: 500,
-      message: "Error fetching verification",
-      error: error.message,
-    });
+    next(new ApiError(500, "Error fetching verification", { cause: error }));
   }
 });
 
-router.get('/crop/:cropId', async (req, res) => {
+router.get('/crop/:cropId', validate(schemas.cropStatus), async (req, res, next) => {
   try {
     const { cropId } = req.params;
 
@@ -869,14 +1839,15 @@ router.get('/crop/:cropId', async (req, res) => {
 
     if (!verification) {
       return res.status(404).json({
-        success: false,
+        statusCode: 404,
         message: 'Verification not found for this crop ID'
       });
     }
 
     // Return verification data with photo details
     res.status(200).json({
-      success: true,
+      statusCode: 200,
+      message: 'Verification fetched successfully',
       data: {
         // verification: verification,
         photos: verification.photos.map(photo => ({
@@ -895,11 +1866,7 @@ router.get('/crop/:cropId', async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching verification data:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching crop data',
-      error: error.message
-    });
+    next(new ApiError(500, 'Server error while fetching crop data', { cause: error }));
   }
 });
 
@@ -0,0 +1,50 @@
+// scripts/backfillLineage.js
+// Sets previousVerificationId and attemptNumber on verifications created
+// before lineage was tracked, by ordering each crop's requests by createdAt.
+//
+//   node scripts/backfillLineage.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Raw collection access: no schema casting, no version bumps
+  const collection = mongoose.connection.collection('verifications');
+  const cropIds = await collection.distinct('cropId', { attemptNumber: { $exists: false } });
+
+  let updated = 0;
+
+  for (const cropId of cropIds) {
+    const docs = await collection
+      .find({ cropId }, { projection: { _id: 1, attemptNumber: 1, previousVerificationId: 1 } })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+
+    for (let i = 0; i < docs.length; i++) {
+      const previous = i > 0 ? docs[i - 1]._id : null;
+      const doc = docs[i];
+
+      if (doc.attemptNumber === i + 1 && String(doc.previousVerificationId || '') === String(previous || '')) {
+        continue;
+      }
+
+      if (!dryRun) {
+        const update = previous
+          ? { $set: { attemptNumber: i + 1, previousVerificationId: previous } }
+          : { $set: { attemptNumber: 1 }, $unset: { previousVerificationId: 1 } };
+        await collection.updateOne({ _id: doc._id }, update);
+      }
+      updated++;
+    }
+  }
+
+  console.log(`✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} verifications across ${cropIds.length} crops`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+// scripts/backfillPhotoStorage.js
+// Records { backend: 'cloudinary', key } on photos uploaded before storage
+// backends were tracked, by reading the public_id back out of the URL.
+// Covers replacedPhotos too, and requests where only some photos lack a key
+// (a legacy request whose rejected photos were since replaced).
+//
+//   node scripts/backfillPhotoStorage.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// https://res.cloudinary.com/<cloud>/image/upload/[<transforms>/]v123/<public_id>.<ext>
+const cloudinaryKeyFromUrl = (url) => {
+  const match = /\/image\/upload\/(?:.*?\/)?v\d+\/(.+?)(?:\.[a-z0-9]+)?$/i.exec(url || '');
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Raw collection access: no schema casting, no version bumps
+  const collection = mongoose.connection.collection('verifications');
+  const missingKey = { $elemMatch: { 'storage.key': { $exists: false } } };
+  const cursor = collection.find({ $or: [{ photos: missingKey }, { replacedPhotos: missingKey }] });
+
+  let updated = 0;
+  let unresolved = 0;
+
+  const withKeys = (photos) => (photos || []).map(photo => {
+    if (photo.storage && photo.storage.key) return photo;
+    const key = cloudinaryKeyFromUrl(photo.url);
+    if (!key) {
+      unresolved++;
+      return photo;
+    }
+    return { ...photo, storage: { backend: 'cloudinary', key } };
+  });
+
+  for await (const doc of cursor) {
+    const $set = { photos: withKeys(doc.photos) };
+    if (doc.replacedPhotos) {
+      $set.replacedPhotos = withKeys(doc.replacedPhotos);
+    }
+
+    if (!dryRun) {
+      await collection.updateOne({ _id: doc._id }, { $set });
+    }
+    updated++;
+  }
+
+  console.log(`✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} verifications (${unresolved} photo URLs not recognised)`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Backfill failed:', err);
+  process.exit(1);
+});
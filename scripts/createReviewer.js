@@ -0,0 +1,45 @@
+// scripts/createReviewer.js
+// Creates (or resets the password of) a reviewer account from the command line.
+// Used to bootstrap the first supervisor, who can then add others via /api/auth/reviewers.
+//
+//   node scripts/createReviewer.js <email> <password> [role] [name]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Reviewer = require('../models/Reviewer');
+const { REVIEWER_ROLES } = require('../models/Reviewer');
+
+async function main() {
+  const [email, password, role = 'supervisor', name] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: node scripts/createReviewer.js <email> <password> [role] [name]');
+    process.exit(1);
+  }
+
+  if (!REVIEWER_ROLES.includes(role)) {
+    console.error(`Invalid role. Allowed: ${REVIEWER_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let reviewer = await Reviewer.findOne({ email: email.toLowerCase() });
+  if (!reviewer) {
+    reviewer = new Reviewer({ email, name: name || email });
+  }
+
+  reviewer.role = role;
+  reviewer.active = true;
+  if (name) reviewer.name = name;
+  await reviewer.setPassword(password);
+  await reviewer.save();
+
+  console.log(`✅ Reviewer ${reviewer.email} saved with role ${reviewer.role}`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Failed to create reviewer:', err);
+  process.exit(1);
+});
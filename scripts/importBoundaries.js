@@ -0,0 +1,97 @@
+// scripts/importBoundaries.js
+// Loads administrative boundary polygons from a GeoJSON FeatureCollection.
+//
+//   node scripts/importBoundaries.js <file.geojson> <village|taluk|district> [options]
+//
+// Options (feature property names differ between data sources):
+//   --name-prop=NAME          property holding the area name (default: name)
+//   --taluk-prop=TALUK        property holding the parent taluk
+//   --district-prop=DISTRICT  property holding the parent district
+//   --state-prop=STATE        property holding the state
+//   --replace                 delete existing boundaries of this level first
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const AdminBoundary = require('../models/AdminBoundary');
+
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  argv.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      options[key] = value === undefined ? true : value;
+    } else {
+      positional.push(arg);
+    }
+  });
+  return { positional, options };
+};
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [file, level] = positional;
+
+  if (!file || !['village', 'taluk', 'district'].includes(level)) {
+    console.error('Usage: node scripts/importBoundaries.js <file.geojson> <village|taluk|district> [--name-prop=name] [--taluk-prop=] [--district-prop=] [--state-prop=] [--replace]');
+    process.exit(1);
+  }
+
+  const geojson = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    console.error('Input must be a GeoJSON FeatureCollection');
+    process.exit(1);
+  }
+
+  const nameProp = options['name-prop'] || 'name';
+  const docs = [];
+  let skipped = 0;
+
+  geojson.features.forEach(feature => {
+    const props = feature.properties || {};
+    const geometry = feature.geometry;
+
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !props[nameProp]) {
+      skipped++;
+      return;
+    }
+
+    docs.push({
+      level,
+      name: String(props[nameProp]).trim(),
+      taluk: options['taluk-prop'] ? props[options['taluk-prop']] : undefined,
+      district: options['district-prop'] ? props[options['district-prop']] : undefined,
+      state: options['state-prop'] ? props[options['state-prop']] : undefined,
+      geometry,
+      source: path.basename(file)
+    });
+  });
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await AdminBoundary.syncIndexes();
+
+  if (options.replace) {
+    const { deletedCount } = await AdminBoundary.deleteMany({ level });
+    console.log(`🗑️ Removed ${deletedCount} existing ${level} boundaries`);
+  }
+
+  // ordered: false so one invalid polygon doesn't stop the rest
+  let inserted = 0;
+  try {
+    const result = await AdminBoundary.insertMany(docs, { ordered: false });
+    inserted = result.length;
+  } catch (error) {
+    inserted = error.insertedDocs ? error.insertedDocs.length : 0;
+    console.error(`⚠️ ${error.writeErrors ? error.writeErrors.length : 'Some'} polygons were rejected:`, error.message);
+  }
+
+  console.log(`✅ Imported ${inserted} ${level} boundaries (${skipped} features skipped)`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Boundary import failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// scripts/migrateTypedFields.js
+// Converts the old free-text quantity ("10 Quintal"), moisture ("14") and
+// willDry ("Yes"/"No") on existing verifications to the typed fields.
+// Text that can't be parsed is moved to legacy.<field> (so the farmer's
+// original answer is kept) and listed so it can be fixed by hand.
+//
+// Until this has run, models/Verification.js converts the old text as
+// documents are loaded, so it can be run after deploying.
+//
+//   node scripts/migrateTypedFields.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { LEGACY_TEXT_FIELDS } = require('../utils/measurements');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Raw collection access: no schema casting, no version bumps
+  const collection = mongoose.connection.collection('verifications');
+  const cursor = collection.find(
+    {
+      $or: [
+        { quantity: { $type: 'string' } },
+        { moisture: { $type: 'string' } },
+        { willDry: { $type: 'string' } }
+      ]
+    },
+    { projection: { quantity: 1, moisture: 1, willDry: 1 } }
+  );
+
+  let updated = 0;
+  const unparsed = [];
+
+  for await (const doc of cursor) {
+    const $set = {};
+    const $unset = {};
+
+    const convert = (field, parse) => {
+      if (typeof doc[field] !== 'string') return;
+      const value = parse(doc[field]);
+      if (value === undefined) {
+        $unset[field] = 1;
+        if (doc[field].trim()) {
+          $set[`legacy.${field}`] = doc[field];
+          unparsed.push(`${doc._id} ${field}=${JSON.stringify(doc[field])}`);
+        }
+      } else {
+        $set[field] = value;
+      }
+    };
+
+    Object.entries(LEGACY_TEXT_FIELDS).forEach(([field, parse]) => convert(field, parse));
+
+    if (!dryRun) {
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+      await collection.updateOne({ _id: doc._id }, update);
+    }
+    updated++;
+  }
+
+  unparsed.forEach(line => console.warn(`⚠️ Could not parse ${line}`));
+  console.log(`✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} verifications (${unparsed.length} values not recognised)`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,24 @@
+// scripts/reconcileStorage.js
+// One-off run of the storage reconciliation job: deletes assets in the
+// farm-verifications folder that no verification references.
+//
+//   node scripts/reconcileStorage.js [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { reconcileStorage } = require('../services/storageReconciliation');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await reconcileStorage({ dryRun });
+  result.orphans.forEach(key => console.log(`  ${key}`));
+
+  console.log(`✅ Scanned ${result.scanned} ${result.backend} assets; ${dryRun ? `${result.orphans.length} would be deleted` : `deleted ${result.deleted}, ${result.failed} failed`}`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Reconciliation failed:', err);
+  process.exit(1);
+});
@@ -2,13 +2,19 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const { startCropSyncWorker } = require('./jobs/cropSyncWorker');
+const { startNotificationWorker } = require('./jobs/notificationWorker');
+const { startApprovalExpiryWorker } = require('./jobs/approvalExpiryWorker');
+const { startStorageReconciliationWorker } = require('./jobs/storageReconciliationWorker');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 const app = express();
 
 // Middleware
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -26,38 +32,36 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startCropSyncWorker();
+  startNotificationWorker();
+  startApprovalExpiryWorker();
+  startStorageReconciliationWorker();
+})
 .catch(err => {
   console.error('MongoDB connection error:', err);
   process.exit(1); // Exit if database connection fails
 });
 
 // Routes
+const authRoutes = require('./routes/auth');
 const verificationRoutes = require('./routes/verification');
+const cropSyncRoutes = require('./routes/cropSync');
+const analyticsRoutes = require('./routes/analytics');
+const notificationRoutes = require('./routes/notifications');
+const fileRoutes = require('./routes/files');
+app.use('/api/auth', authRoutes);
 app.use('/api/verifications', verificationRoutes);
+app.use('/api/crop-sync', cropSyncRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/files', fileRoutes);
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err.stack);
-  
-  // Don't leak error details in production
-  const message = process.env.NODE_ENV === 'production' 
-    ? 'Internal server error' 
-    : err.message;
-  
-  res.status(err.status || 500).json({ 
-    success: false,
-    message: message
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ 
-    success: false,
-    message: 'Route not found'
-  });
-});
+// 404 for unknown routes, then the global error handler.
+// See middleware/errorHandler.js for the error response format.
+app.use(notFound);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
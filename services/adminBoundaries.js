@@ -0,0 +1,80 @@
+// services/adminBoundaries.js - Resolve coordinates to village/taluk/district
+const AdminBoundary = require("../models/AdminBoundary");
+
+const LEVELS = ["village", "taluk", "district"];
+
+// "Bengaluru  Rural " -> "bengalururural"
+const normalizeName = (name) => {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+};
+
+/**
+ * Point-in-polygon lookup for [lng, lat]. Returns the matched boundary
+ * names per level; a level is null when no polygon for it is loaded or
+ * the point falls outside all of them.
+ */
+const resolveAdminArea = async (coordinates) => {
+  const boundaries = await AdminBoundary.find({
+    geometry: {
+      $geoIntersects: {
+        $geometry: { type: "Point", coordinates },
+      },
+    },
+  })
+    .select("level name aliases")
+    .lean();
+
+  const resolved = { resolvedAt: new Date() };
+  const byLevel = {};
+
+  LEVELS.forEach((level) => {
+    const match = boundaries.find((b) => b.level === level);
+    resolved[level] = match ? match.name : null;
+    byLevel[level] = match || null;
+  });
+
+  return { resolved, byLevel };
+};
+
+/**
+ * Compare declared names against the resolved polygons. Only levels that
+ * resolved are compared, so missing boundary data never raises a flag.
+ */
+const compareDeclaredArea = (declared, byLevel) => {
+  const fields = LEVELS.filter((level) => {
+    const boundary = byLevel[level];
+    if (!boundary || !declared[level]) return false;
+
+    const names = [boundary.name, ...(boundary.aliases || [])].map(normalizeName);
+    return !names.includes(normalizeName(declared[level]));
+  });
+
+  return {
+    flagged: fields.length > 0,
+    fields,
+  };
+};
+
+/**
+ * Resolve and compare in one step. Boundary lookup problems are logged and
+ * reported as unresolved rather than failing the submission.
+ */
+const checkDeclaredArea = async (declared, coordinates) => {
+  try {
+    const { resolved, byLevel } = await resolveAdminArea(coordinates);
+    return {
+      adminArea: resolved,
+      locationMismatch: compareDeclaredArea(declared, byLevel),
+    };
+  } catch (error) {
+    console.error("❌ Admin boundary lookup failed:", error.message);
+    return { adminArea: undefined, locationMismatch: undefined };
+  }
+};
+
+module.exports = {
+  normalizeName,
+  resolveAdminArea,
+  compareDeclaredArea,
+  checkDeclaredArea,
+};
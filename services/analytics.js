@@ -0,0 +1,194 @@
+// services/analytics.js - Aggregations behind the review dashboard
+const Verification = require("../models/Verification");
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || "Asia/Kolkata";
+const BUCKETS = ["day", "week", "month"];
+const GROUP_FIELDS = ["status", "district", "cropName", "rejectionReason"];
+const HOUR_MS = 60 * 60 * 1000;
+// Default threshold for /sla-breaches
+const SLA_HOURS = parseInt(process.env.REVIEW_SLA_HOURS || "48", 10);
+
+// Expression truncating a date field to the start of its day/week/month
+const bucketExpression = (field, bucket) => ({
+  $dateTrunc: { date: `$${field}`, unit: bucket, timezone: TIMEZONE, startOfWeek: "monday" },
+});
+
+// Percentiles reported by /review-times
+const PERCENTILES = { medianHours: 50, p90Hours: 90 };
+
+// 1-based nearest-rank position of percentile p among n values
+const percentileRank = (n, p) => Math.min(n, Math.max(1, Math.ceil((p / 100) * n)));
+
+// Dates can't be compared with ===
+const groupKey = (group) => (group instanceof Date ? group.getTime() : group);
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Counts grouped by a field, optionally split into time buckets by
+ * createdAt. Returns [{ bucket?, key, count }].
+ */
+const countsBy = async ({ match, by, bucket }) => {
+  const groupId = { key: { $ifNull: [`$${by}`, "unknown"] } };
+  if (bucket) groupId.bucket = bucketExpression("createdAt", bucket);
+
+  const rows = await Verification.aggregate([
+    { $match: match },
+    { $group: { _id: groupId, count: { $sum: 1 } } },
+    { $sort: { "_id.bucket": 1, count: -1 } },
+  ]);
+
+  return rows.map((r) => ({
+    ...(bucket ? { bucket: r._id.bucket } : {}),
+    key: r._id.key === "" ? "unknown" : r._id.key,
+    count: r.count,
+  }));
+};
+
+// Decisions per reviewer, optionally bucketed by reviewedAt
+const reviewerThroughput = async ({ match, bucket }) => {
+  const groupId = { reviewer: "$reviewedBy" };
+  if (bucket) groupId.bucket = bucketExpression("reviewedAt", bucket);
+
+  const rows = await Verification.aggregate([
+    { $match: { ...match, reviewedBy: { $exists: true, $ne: null }, reviewedAt: { $exists: true } } },
+    {
+      $group: {
+        _id: groupId,
+        reviewed: { $sum: 1 },
+        approved: { $sum: { $cond: [{ $eq: ["$status", "approved"] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] } },
+      },
+    },
+    { $sort: { "_id.bucket": 1, reviewed: -1 } },
+  ]);
+
+  return rows.map((r) => ({
+    ...(bucket ? { bucket: r._id.bucket } : {}),
+    reviewer: r._id.reviewer,
+    reviewed: r.reviewed,
+    approved: r.approved,
+    rejected: r.rejected,
+  }));
+};
+
+/**
+ * Review-time percentiles per group, computed in MongoDB: count each
+ * group, then number its durations in order and keep only the documents
+ * at the wanted ranks, so a couple of values per group reach Node however
+ * many requests there are. Uses $setWindowFields rather than $percentile,
+ * which needs MongoDB 7.
+ * Returns [{ group, reviewed, medianHours, p90Hours }] ordered by group.
+ */
+const reviewTimePercentiles = async (match, groupExpression) => {
+  const durations = [
+    { $match: match },
+    {
+      $project: {
+        group: groupExpression,
+        duration: { $subtract: ["$reviewedAt", "$createdAt"] },
+      },
+    },
+  ];
+
+  const counts = await Verification.aggregate([
+    ...durations,
+    { $group: { _id: "$group", reviewed: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  if (counts.length === 0) return [];
+
+  const wanted = counts.flatMap((c) =>
+    Object.values(PERCENTILES).map((p) => ({ group: c._id, rank: percentileRank(c.reviewed, p) }))
+  );
+
+  const picked = await Verification.aggregate([
+    ...durations,
+    {
+      $setWindowFields: {
+        partitionBy: "$group",
+        sortBy: { duration: 1 },
+        output: { rank: { $documentNumber: {} } },
+      },
+    },
+    { $match: { $or: wanted } },
+  ]).allowDiskUse(true);
+
+  const durationAt = (group, rank) => {
+    const row = picked.find((r) => groupKey(r.group) === groupKey(group) && r.rank === rank);
+    return row ? round(row.duration / HOUR_MS) : null;
+  };
+
+  return counts.map((c) => {
+    const result = { group: c._id, reviewed: c.reviewed };
+    Object.entries(PERCENTILES).forEach(([name, p]) => {
+      result[name] = durationAt(c._id, percentileRank(c.reviewed, p));
+    });
+    return result;
+  });
+};
+
+/**
+ * Median and p90 of createdAt -> reviewedAt in hours, overall and per
+ * bucket of reviewedAt.
+ */
+const reviewTimes = async ({ match, bucket }) => {
+  const reviewed = { ...match, reviewedAt: { $exists: true, $ne: null } };
+
+  const [overall, buckets] = await Promise.all([
+    reviewTimePercentiles(reviewed, { $literal: null }),
+    bucket ? reviewTimePercentiles(reviewed, bucketExpression("reviewedAt", bucket)) : [],
+  ]);
+
+  const empty = { reviewed: 0, medianHours: null, p90Hours: null };
+  const withoutGroup = ({ group, ...stats }) => stats;
+
+  return {
+    overall: overall.length > 0 ? withoutGroup(overall[0]) : empty,
+    buckets: buckets.map((b) => ({ bucket: b.group, ...withoutGroup(b) })),
+  };
+};
+
+// Pending requests older than the SLA, oldest first, with per-bucket
+// counts by submission date when a bucket is given
+const slaBreaches = async ({ match, thresholdHours, limit, bucket }) => {
+  const cutoff = new Date(Date.now() - thresholdHours * HOUR_MS);
+  const query = { ...match, status: "pending", createdAt: { ...(match.createdAt || {}), $lt: cutoff } };
+
+  const [total, requests, buckets] = await Promise.all([
+    Verification.countDocuments(query),
+    Verification.find(query)
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select("userId cropId cropName fullName district createdAt")
+      .lean(),
+    bucket
+      ? Verification.aggregate([
+          { $match: query },
+          { $group: { _id: bucketExpression("createdAt", bucket), count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ])
+      : [],
+  ]);
+
+  const now = Date.now();
+  return {
+    thresholdHours,
+    total,
+    buckets: buckets.map((b) => ({ bucket: b._id, count: b.count })),
+    requests: requests.map((v) => ({
+      ...v,
+      waitingHours: round((now - v.createdAt.getTime()) / HOUR_MS),
+    })),
+  };
+};
+
+module.exports = {
+  SLA_HOURS,
+  BUCKETS,
+  GROUP_FIELDS,
+  countsBy,
+  reviewerThroughput,
+  reviewTimes,
+  slaBreaches,
+};
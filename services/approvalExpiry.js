@@ -0,0 +1,102 @@
+// services/approvalExpiry.js - Approvals are valid for APPROVAL_VALIDITY_DAYS,
+// after which the crop must be verified again
+const Verification = require("../models/Verification");
+const { recordAudit, diffSnapshots, snapshotVerification } = require("./audit");
+const { enqueueCropSync, processCropSyncJob } = require("./cropSync");
+const { notifyVerificationOutcome } = require("./notifications");
+
+// 0 disables expiry
+const VALIDITY_DAYS = parseInt(process.env.APPROVAL_VALIDITY_DAYS || "365", 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry date for an approval made at `approvedAt`, or null when expiry is off
+const expiryFor = (approvedAt) => {
+  if (!VALIDITY_DAYS || !approvedAt) return null;
+  return new Date(new Date(approvedAt).getTime() + VALIDITY_DAYS * DAY_MS);
+};
+
+// Approvals from before expiry was tracked have no expiresAt; use reviewedAt
+const approvalExpiresAt = (verification) => {
+  if (verification.status !== "approved" && verification.status !== "expired") return null;
+  return verification.expiresAt || expiryFor(verification.reviewedAt);
+};
+
+const isApprovalExpired = (verification, now = new Date()) => {
+  if (verification.status === "expired") return true;
+  const expiresAt = approvalExpiresAt(verification);
+  return verification.status === "approved" && Boolean(expiresAt) && expiresAt <= now;
+};
+
+/**
+ * Move one approved verification to 'expired', then tell the crop API and
+ * the farmer. Resolves null if it was no longer approved.
+ */
+const expireApproval = async (verification, { now = new Date() } = {}) => {
+  const before = snapshotVerification(verification);
+
+  const expired = await Verification.findOneAndUpdate(
+    { _id: verification._id, status: "approved" },
+    {
+      $set: { status: "expired", expiredAt: now, updatedAt: now },
+      $inc: { __v: 1 },
+    },
+    { new: true }
+  );
+
+  if (!expired) return null;
+
+  console.log(`⌛ Approval for crop ${expired.cropId} expired (verification ${expired._id})`);
+
+  await recordAudit({
+    verification: expired,
+    action: "expired",
+    actor: { type: "system" },
+    changes: diffSnapshots(before, snapshotVerification(expired)),
+  });
+
+  const job = await enqueueCropSync({
+    verification: expired,
+    operation: "update_verification_status",
+    payload: { status: "expired", expiredAt: now },
+    createdBy: "system",
+  });
+  await processCropSyncJob(job._id);
+
+  notifyVerificationOutcome(expired, "expired").catch((error) => {
+    console.error(`❌ Failed to queue expired notification for ${expired._id}:`, error);
+  });
+
+  return expired;
+};
+
+// Expire every approval whose validity period has passed
+const expireDueApprovals = async ({ batchSize = 50 } = {}) => {
+  if (!VALIDITY_DAYS) return [];
+
+  const now = new Date();
+  const due = await Verification.find({
+    status: "approved",
+    $or: [
+      { expiresAt: { $lte: now } },
+      { expiresAt: { $exists: false }, reviewedAt: { $lte: new Date(now.getTime() - VALIDITY_DAYS * DAY_MS) } },
+    ],
+  })
+    .sort({ reviewedAt: 1 })
+    .limit(batchSize);
+
+  const results = [];
+  for (const verification of due) {
+    const expired = await expireApproval(verification, { now });
+    if (expired) results.push(expired);
+  }
+  return results;
+};
+
+module.exports = {
+  VALIDITY_DAYS,
+  expiryFor,
+  approvalExpiresAt,
+  isApprovalExpired,
+  expireApproval,
+  expireDueApprovals,
+};
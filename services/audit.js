@@ -0,0 +1,103 @@
+// services/audit.js - Helpers for writing the verification audit trail
+const AuditEvent = require("../models/AuditEvent");
+
+// Build the actor block from an authenticated request
+const actorFromRequest = (req) => {
+  if (req.reviewer) {
+    return {
+      type: "reviewer",
+      id: req.reviewer._id.toString(),
+      email: req.reviewer.email,
+      role: req.reviewer.role,
+    };
+  }
+  if (req.farmer) {
+    return { type: "farmer", id: req.farmer.userId };
+  }
+  return { type: "system" };
+};
+
+// e.g. "PATCH /api/verifications/:id/finalize"
+const endpointFromRequest = (req) => {
+  const routePath = req.route ? req.route.path : req.path;
+  return `${req.method} ${req.baseUrl}${routePath}`;
+};
+
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toString === "function" && value._bsontype === "ObjectId") {
+    return value.toString();
+  }
+  return value;
+};
+
+// Compare two plain snapshots and return only the fields that changed
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    const b = normalize(before[field]);
+    const a = normalize(after[field]);
+    if (JSON.stringify(b) !== JSON.stringify(a)) {
+      changes.push({ field, before: b, after: a });
+    }
+  });
+
+  return changes;
+};
+
+// Snapshot of the reviewable state of a verification, keyed by field path
+const snapshotVerification = (verification) => {
+  const snapshot = {
+    status: verification.status,
+    rejectionReason: verification.rejectionReason,
+    rejectionNotes: verification.rejectionNotes,
+    reviewedAt: verification.reviewedAt,
+    reviewedBy: verification.reviewedBy,
+    expiresAt: verification.expiresAt,
+    revocationReason: verification.revocationReason,
+    revocationNotes: verification.revocationNotes,
+    "location.locationType": verification.location && verification.location.locationType,
+  };
+
+  (verification.photos || []).forEach((photo) => {
+    snapshot[`photos.${photo._id}.status`] = photo.status;
+    snapshot[`photos.${photo._id}.rejectionReason`] = photo.rejectionReason;
+    snapshot[`photos.${photo._id}.reviewNote`] = photo.reviewNote;
+    // Plain objects so the boxes compare by value; [] counts as "none"
+    snapshot[`photos.${photo._id}.annotations`] =
+      photo.annotations && photo.annotations.length > 0
+        ? photo.annotations.map((a) => ({ kind: a.kind, x: a.x, y: a.y, width: a.width, height: a.height, label: a.label }))
+        : undefined;
+  });
+
+  return snapshot;
+};
+
+/**
+ * Append an audit event. Failures are logged rather than thrown so a
+ * change that has already been saved is still reported to the caller.
+ */
+const recordAudit = async ({ verification, action, req, actor, endpoint, changes }) => {
+  try {
+    return await AuditEvent.create({
+      verificationId: verification._id,
+      cropId: verification.cropId,
+      action,
+      endpoint: endpoint || (req ? endpointFromRequest(req) : undefined),
+      actor: actor || (req ? actorFromRequest(req) : { type: "system" }),
+      changes: changes || [],
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit event '${action}' for ${verification._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  diffSnapshots,
+  snapshotVerification,
+  recordAudit,
+};
@@ -0,0 +1,53 @@
+// services/cropApi.js - Client for the marketplace crop API
+const axios = require("axios");
+
+const CROP_API_URL = process.env.CROP_API_URL || "https://markhet-internal-ngfs.onrender.com";
+const CROP_API_TIMEOUT_MS = parseInt(process.env.CROP_API_TIMEOUT_MS || "15000", 10);
+
+const client = axios.create({
+  baseURL: CROP_API_URL,
+  timeout: CROP_API_TIMEOUT_MS,
+  headers: {
+    "Content-Type": "application/json",
+  },
+});
+
+// Helper function to fetch crop data
+async function fetchCropData(cropId) {
+  try {
+    const response = await client.get(`/crop/get-crop-by-id/${cropId}`);
+    if (response.data.code === 200) {
+      return response.data.data;
+    }
+    throw new Error(response.data.message || "Failed to fetch crop data");
+  } catch (error) {
+    console.error("Error fetching crop data:", error.message);
+    throw error;
+  }
+}
+
+// Push approved images and coordinates to the crop record
+async function updateCropImagesLocation(cropId, payload) {
+  const response = await client.patch(`/crop/${cropId}/images-location`, payload);
+  return response.data;
+}
+
+// Remove the images and coordinates pushed on approval (revocation)
+async function removeCropImagesLocation(cropId, payload) {
+  const response = await client.delete(`/crop/${cropId}/images-location`, { data: payload });
+  return response.data;
+}
+
+// Tell the crop record its verification is no longer current (e.g. expired)
+async function updateCropVerificationStatus(cropId, payload) {
+  const response = await client.patch(`/crop/${cropId}/verification-status`, payload);
+  return response.data;
+}
+
+module.exports = {
+  CROP_API_URL,
+  fetchCropData,
+  updateCropImagesLocation,
+  updateCropVerificationStatus,
+  removeCropImagesLocation,
+};
@@ -0,0 +1,129 @@
+// services/cropSync.js - Durable outbox for crop API updates
+const CropSyncJob = require("../models/CropSyncJob");
+const {
+  updateCropImagesLocation,
+  updateCropVerificationStatus,
+  removeCropImagesLocation,
+} = require("./cropApi");
+const { createOutbox } = require("./outbox");
+
+const MAX_ATTEMPTS = parseInt(process.env.CROP_SYNC_MAX_ATTEMPTS || "8", 10);
+const BACKOFF_BASE_SECONDS = parseInt(process.env.CROP_SYNC_BACKOFF_SECONDS || "30", 10);
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+// operation -> function(cropId, payload) calling the crop API
+const OPERATIONS = {
+  update_images_location: updateCropImagesLocation,
+  update_verification_status: updateCropVerificationStatus,
+  remove_images_location: removeCropImagesLocation,
+};
+
+// Exponential backoff: 30s, 60s, 2m, 4m ... capped at 6h
+const backoffDelayMs = (attempts) => {
+  const seconds = Math.min(
+    BACKOFF_MAX_SECONDS,
+    BACKOFF_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1))
+  );
+  return seconds * 1000;
+};
+
+const enqueueCropSync = ({ verification, operation, payload, createdBy }) => {
+  return CropSyncJob.create({
+    verificationId: verification._id,
+    cropId: verification.cropId,
+    operation,
+    payload,
+    maxAttempts: MAX_ATTEMPTS,
+    createdBy,
+  });
+};
+
+// One attempt at a job: skip it if a newer update already landed,
+// otherwise call the crop API for its operation
+const performJob = async (job) => {
+  // Never let a replayed old job overwrite a newer successful update
+  const newerSucceeded = await CropSyncJob.exists({
+    cropId: job.cropId,
+    status: "succeeded",
+    createdAt: { $gt: job.createdAt },
+  });
+
+  if (newerSucceeded) {
+    job.status = "superseded";
+    job.completedAt = new Date();
+    console.log(`⏭️ Crop sync job ${job._id} superseded by a newer update for crop ${job.cropId}`);
+    return;
+  }
+
+  const handler = OPERATIONS[job.operation];
+  if (!handler) {
+    throw new Error(`Unknown crop sync operation: ${job.operation}`);
+  }
+
+  console.log(`📤 Crop sync ${job.operation} for crop ${job.cropId} (attempt ${job.attempts})`);
+  job.response = await handler(job.cropId, job.payload);
+  job.completedAt = new Date();
+  console.log(`✅ Crop sync job ${job._id} succeeded for crop ${job.cropId}`);
+};
+
+const outbox = createOutbox({
+  model: CropSyncJob,
+  label: "Crop sync job",
+  statuses: { ready: "pending", locked: "processing", succeeded: "succeeded", failed: "failed" },
+  backoffDelayMs,
+  perform: performJob,
+  claimFields: (now) => ({ lastAttemptAt: now }),
+});
+
+/**
+ * Make one attempt at a job. Resolves with the job's latest state; never
+ * throws for crop API errors.
+ */
+const processCropSyncJob = (jobId) => outbox.attempt(jobId);
+
+// Run every job whose retry time has come, oldest first
+const processDueCropSyncJobs = (options) => outbox.processDue(options);
+
+// Give a failed job a fresh set of attempts and queue it immediately
+const replayCropSyncJob = async (jobId) => {
+  const job = await CropSyncJob.findById(jobId);
+  if (!job || job.status !== "failed") {
+    return job;
+  }
+
+  job.status = "pending";
+  job.maxAttempts = job.attempts + MAX_ATTEMPTS;
+  job.nextAttemptAt = new Date();
+  await job.save();
+
+  return processCropSyncJob(job._id);
+};
+
+// Re-queue every failed job; the worker picks them up on its next tick
+const replayFailedCropSyncJobs = async () => {
+  const failed = await CropSyncJob.find({ status: "failed" }).select("_id attempts");
+
+  for (const job of failed) {
+    await CropSyncJob.updateOne(
+      { _id: job._id, status: "failed" },
+      {
+        $set: {
+          status: "pending",
+          maxAttempts: job.attempts + MAX_ATTEMPTS,
+          nextAttemptAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  return failed.length;
+};
+
+module.exports = {
+  enqueueCropSync,
+  processCropSyncJob,
+  processDueCropSyncJobs,
+  replayCropSyncJob,
+  replayFailedCropSyncJobs,
+};
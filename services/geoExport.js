@@ -0,0 +1,115 @@
+// services/geoExport.js - Streaming map exports (GeoJSON / KML) of verification locations
+const { writeChunk } = require("../utils/streams");
+
+// Approved verifications only publish their approved photos
+const photoUrls = (v) => {
+  const photos = Array.isArray(v.photos) ? v.photos : [];
+  const visible = v.status === "approved"
+    ? photos.filter((p) => p.status === "approved")
+    : photos;
+  return visible.map((p) => p.url);
+};
+
+const featureProperties = (v) => ({
+  id: String(v._id),
+  cropId: v.cropId,
+  cropName: v.cropName,
+  farmer: v.fullName || null,
+  userId: v.userId,
+  village: v.village || null,
+  taluk: v.taluk || null,
+  district: v.district || null,
+  status: v.status,
+  locationType: (v.location && v.location.locationType) || null,
+  photoUrls: photoUrls(v),
+  submittedAt: v.createdAt,
+  reviewedAt: v.reviewedAt || null,
+});
+
+const streamGeoJson = async (cursor, res) => {
+  res.write('{"type":"FeatureCollection","features":[');
+
+  let count = 0;
+  for await (const v of cursor) {
+    if (res.destroyed) break;
+    const feature = {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: v.location.coordinates },
+      properties: featureProperties(v),
+    };
+    await writeChunk(res, (count > 0 ? "," : "") + JSON.stringify(feature));
+    count++;
+  }
+
+  res.end("]}");
+  return count;
+};
+
+const escapeXml = (value) => {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+const kmlPlacemark = (v) => {
+  const props = featureProperties(v);
+  const [lng, lat] = v.location.coordinates;
+
+  const data = Object.entries(props)
+    .filter(([key]) => key !== "photoUrls")
+    .map(([key, value]) => {
+      const text = value instanceof Date ? value.toISOString() : value;
+      return `<Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`;
+    })
+    .join("");
+
+  const photos = props.photoUrls
+    .map((url) => `<img src="${escapeXml(url)}" width="240"/>`)
+    .join("<br/>");
+
+  return [
+    "<Placemark>",
+    `<name>${escapeXml(`${props.cropName} - ${props.farmer || props.userId}`)}</name>`,
+    `<description>${escapeXml(photos)}</description>`,
+    `<ExtendedData>${data}<Data name="photoUrls"><value>${escapeXml(props.photoUrls.join(" "))}</value></Data></ExtendedData>`,
+    `<Point><coordinates>${lng},${lat}</coordinates></Point>`,
+    "</Placemark>",
+  ].join("");
+};
+
+const streamKml = async (cursor, res) => {
+  res.write(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Farm verifications</name>'
+  );
+
+  let count = 0;
+  for await (const v of cursor) {
+    if (res.destroyed) break;
+    await writeChunk(res, kmlPlacemark(v));
+    count++;
+  }
+
+  res.end("</Document></kml>");
+  return count;
+};
+
+const GEO_EXPORT_FORMATS = {
+  geojson: {
+    contentType: "application/geo+json; charset=utf-8",
+    extension: "geojson",
+    write: streamGeoJson,
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml; charset=utf-8",
+    extension: "kml",
+    write: streamKml,
+  },
+};
+
+module.exports = {
+  GEO_EXPORT_FORMATS,
+};
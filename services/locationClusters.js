@@ -0,0 +1,101 @@
+// services/locationClusters.js - Geo queries on verification locations
+const Verification = require("../models/Verification");
+
+// Submissions this close together are treated as "the same spot"
+const CLUSTER_RADIUS_METERS = parseInt(process.env.CLUSTER_RADIUS_METERS || "30", 10);
+// This many different farmers at the same spot is suspicious
+const CLUSTER_MIN_USERS = parseInt(process.env.CLUSTER_MIN_USERS || "3", 10);
+const MAX_LINKED_IDS = 50;
+
+/**
+ * Verifications within radiusMeters of [lng, lat], nearest first, each
+ * with a distanceMeters field. `query` narrows the match (status, crop...).
+ */
+const findNearbyVerifications = ({ coordinates, radiusMeters, query = {}, limit = 50 }) => {
+  return Verification.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates },
+        distanceField: "distanceMeters",
+        maxDistance: radiusMeters,
+        spherical: true,
+        query,
+      },
+    },
+    { $limit: limit },
+    {
+      $project: {
+        userId: 1,
+        cropId: 1,
+        cropName: 1,
+        fullName: 1,
+        village: 1,
+        district: 1,
+        status: 1,
+        location: 1,
+        locationCluster: 1,
+        createdAt: 1,
+        distanceMeters: { $round: ["$distanceMeters", 1] },
+      },
+    },
+  ]);
+};
+
+/**
+ * Count distinct farmers who submitted from practically the same point.
+ * `userId` is the submitter, who counts towards the total. Resolves
+ * undefined if the lookup fails, so a submission is never lost to it.
+ */
+const detectLocationCluster = async ({ coordinates, userId }) => {
+  let neighbours;
+  try {
+    neighbours = await Verification.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates },
+          distanceField: "distanceMeters",
+          maxDistance: CLUSTER_RADIUS_METERS,
+          spherical: true,
+          query: { userId: { $ne: userId } },
+        },
+      },
+      { $limit: 500 },
+      { $project: { userId: 1 } },
+    ]);
+  } catch (error) {
+    console.error("❌ Location cluster check failed:", error.message);
+    return undefined;
+  }
+
+  const distinctUsers = new Set(neighbours.map((n) => n.userId));
+  distinctUsers.add(userId);
+
+  return {
+    flagged: distinctUsers.size >= CLUSTER_MIN_USERS,
+    distinctUsers: distinctUsers.size,
+    radiusMeters: CLUSTER_RADIUS_METERS,
+    verificationIds: neighbours.slice(0, MAX_LINKED_IDS).map((n) => n._id),
+    checkedAt: new Date(),
+  };
+};
+
+// Mark the earlier members of a newly detected cluster as well
+const flagClusterMembers = (cluster) => {
+  return Verification.updateMany(
+    { _id: { $in: cluster.verificationIds } },
+    {
+      $set: {
+        "locationCluster.flagged": true,
+        "locationCluster.radiusMeters": cluster.radiusMeters,
+        "locationCluster.checkedAt": cluster.checkedAt,
+      },
+      $max: { "locationCluster.distinctUsers": cluster.distinctUsers },
+    }
+  );
+};
+
+module.exports = {
+  findNearbyVerifications,
+  detectLocationCluster,
+  flagClusterMembers,
+};
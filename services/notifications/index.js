@@ -0,0 +1,128 @@
+// services/notifications/index.js - Farmer notifications with persisted delivery attempts
+//
+// A provider is any object of the shape
+//   { name, channels: ["sms", "whatsapp"], send({ channel, to, body }) -> { providerMessageId } }
+// registered in PROVIDERS below and selected with NOTIFICATION_PROVIDER.
+const Notification = require("../../models/Notification");
+const { createOutbox } = require("../outbox");
+const { buildMessage } = require("./messages");
+
+const PROVIDERS = {
+  console: require("./providers/console"),
+  twilio: require("./providers/twilio"),
+};
+
+const PROVIDER_NAME = process.env.NOTIFICATION_PROVIDER || "console";
+const CHANNEL = process.env.NOTIFICATION_CHANNEL || "sms";
+const COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || "+91";
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || "5", 10);
+const BACKOFF_BASE_SECONDS = 60;
+
+// The console provider only logs, so in production it would mark every
+// message sent while nothing reaches farmers. Refuse to start instead.
+if (process.env.NODE_ENV === "production" && PROVIDER_NAME === "console") {
+  throw new Error("NOTIFICATION_PROVIDER must be set to a real provider (e.g. twilio) in production");
+}
+
+const getProvider = (name = PROVIDER_NAME) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown notification provider: ${name}`);
+  }
+  return provider;
+};
+
+// "9876543210" -> "+919876543210"; numbers with a country code pass through
+const toE164 = (phone) => {
+  const digits = String(phone || "").replace(/[^\d+]/g, "");
+  if (!digits) return null;
+  if (digits.startsWith("+")) return digits;
+  if (digits.length === 10) return `${COUNTRY_CODE}${digits}`;
+  return `+${digits}`;
+};
+
+// Retry delays: 1m, 2m, 4m, 8m ...
+const backoffDelayMs = (attempts) => BACKOFF_BASE_SECONDS * 1000 * Math.pow(2, attempts - 1);
+
+const sendNotification = async (notification) => {
+  const provider = getProvider(notification.provider);
+  const result = await provider.send({
+    channel: notification.channel,
+    to: notification.to,
+    body: notification.body,
+  });
+
+  notification.sentAt = new Date();
+  notification.providerMessageId = result && result.providerMessageId;
+  console.log(`✅ Notification ${notification._id} sent to ${notification.to} via ${notification.provider}`);
+};
+
+const outbox = createOutbox({
+  model: Notification,
+  label: "Notification",
+  statuses: { ready: "queued", locked: "sending", succeeded: "sent", failed: "failed" },
+  backoffDelayMs,
+  perform: sendNotification,
+});
+
+// Make one delivery attempt; resolves with the notification's latest state
+const deliverNotification = (notificationId) => outbox.attempt(notificationId);
+
+/**
+ * Queue and immediately try to send the outcome message for a verification.
+ * Resolves null when the farmer has no phone number on record.
+ */
+const notifyVerificationOutcome = async (verification, event = verification.status) => {
+  const to = toE164(verification.phone);
+  if (!to) {
+    console.warn(`⚠️ No phone number for verification ${verification._id}, skipping ${event} notification`);
+    return null;
+  }
+
+  const notification = await Notification.create({
+    verificationId: verification._id,
+    cropId: verification.cropId,
+    userId: verification.userId,
+    event,
+    channel: CHANNEL,
+    provider: PROVIDER_NAME,
+    to,
+    body: buildMessage(event, verification),
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  return deliverNotification(notification._id);
+};
+
+// Retry every queued notification whose next attempt is due
+const processDueNotifications = (options) => outbox.processDue(options);
+
+// Give a failed notification a fresh set of attempts and send it now
+const resendNotification = async (notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: "failed" },
+    [
+      {
+        $set: {
+          status: "queued",
+          nextAttemptAt: "$$NOW",
+          maxAttempts: { $add: ["$attempts", MAX_ATTEMPTS] },
+          updatedAt: "$$NOW",
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (!notification) {
+    return Notification.findById(notificationId);
+  }
+  return deliverNotification(notification._id);
+};
+
+module.exports = {
+  toE164,
+  notifyVerificationOutcome,
+  processDueNotifications,
+  resendNotification,
+};
@@ -0,0 +1,43 @@
+// services/notifications/messages.js - Farmer-facing message text
+const { describeRejectionReason } = require("../../config/rejectionReasons");
+
+const greeting = (verification) => {
+  return verification.fullName ? `Hello ${verification.fullName}, ` : "Hello, ";
+};
+
+// event -> function(verification) returning the message body
+const MESSAGES = {
+  approved: (v) =>
+    `${greeting(v)}your ${v.cropName} crop has been verified. Buyers can now see your verified photos and location.`,
+
+  rejected: (v) => {
+    const notes = v.rejectionNotes ? ` (${v.rejectionNotes})` : "";
+    return (
+      `${greeting(v)}your ${v.cropName} crop verification was not approved. ` +
+      `Reason: ${describeRejectionReason(v.rejectionReason)}${notes}. ` +
+      `Please open the app and submit new photos.`
+    );
+  },
+
+  expired: (v) =>
+    `${greeting(v)}the verification of your ${v.cropName} crop has expired. ` +
+    `Please open the app and submit new photos to get verified again.`,
+
+  revoked: (v) =>
+    `${greeting(v)}the verification of your ${v.cropName} crop has been withdrawn. ` +
+    `Reason: ${describeRejectionReason(v.revocationReason)}. ` +
+    `Please open the app and submit new photos.`,
+};
+
+const buildMessage = (event, verification) => {
+  const template = MESSAGES[event];
+  if (!template) {
+    throw new Error(`No message template for event: ${event}`);
+  }
+  return template(verification);
+};
+
+module.exports = {
+  MESSAGES,
+  buildMessage,
+};
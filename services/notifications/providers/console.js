@@ -0,0 +1,31 @@
+// services/notifications/providers/console.js
+// Development provider: prints messages, and appends them to a file when
+// NOTIFICATION_LOG_FILE is set, instead of sending anything.
+const fs = require("fs/promises");
+const crypto = require("crypto");
+
+const LOG_FILE = process.env.NOTIFICATION_LOG_FILE;
+
+module.exports = {
+  name: "console",
+  channels: ["sms", "whatsapp"],
+
+  async send({ channel, to, body }) {
+    const providerMessageId = `console_${crypto.randomUUID()}`;
+
+    console.log(`📨 [${channel} -> ${to}] ${body}`);
+
+    if (LOG_FILE) {
+      const line = JSON.stringify({
+        id: providerMessageId,
+        channel,
+        to,
+        body,
+        sentAt: new Date().toISOString(),
+      });
+      await fs.appendFile(LOG_FILE, line + "\n");
+    }
+
+    return { providerMessageId };
+  },
+};
@@ -0,0 +1,45 @@
+// services/notifications/providers/twilio.js
+// SMS and WhatsApp through Twilio's REST API
+const axios = require("axios");
+
+const {
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_SMS_FROM,
+  TWILIO_WHATSAPP_FROM,
+} = process.env;
+
+module.exports = {
+  name: "twilio",
+  channels: ["sms", "whatsapp"],
+
+  async send({ channel, to, body }) {
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+      throw new Error("TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are not configured");
+    }
+
+    const from = channel === "whatsapp" ? TWILIO_WHATSAPP_FROM : TWILIO_SMS_FROM;
+    if (!from) {
+      throw new Error(`No Twilio sender configured for ${channel}`);
+    }
+
+    const prefix = channel === "whatsapp" ? "whatsapp:" : "";
+    const form = new URLSearchParams({
+      To: `${prefix}${to}`,
+      From: from.startsWith(prefix) ? from : `${prefix}${from}`,
+      Body: body,
+    });
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+      form.toString(),
+      {
+        auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 15000,
+      }
+    );
+
+    return { providerMessageId: response.data.sid };
+  },
+};
@@ -0,0 +1,106 @@
+// services/outbox.js - Shared delivery loop for persisted outbox collections
+//
+// Crop API updates (services/cropSync.js) and farmer notifications
+// (services/notifications) are both stored before they are sent, then
+// attempted inline and retried by a worker. This module owns the parts
+// they have in common: the atomic claim, retry with backoff, giving up
+// after maxAttempts, and releasing claims left by a dead worker.
+//
+// A collection's documents need status, attempts, maxAttempts,
+// nextAttemptAt, lockedAt, lastError and updatedAt fields.
+
+// A document stuck in the locked status this long is assumed to belong to a dead worker
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Axios errors carry the response; anything else just its message
+const errorDetail = (error) => {
+  return error.response
+    ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`
+    : error.message;
+};
+
+/**
+ * @param {object} options
+ * @param {mongoose.Model} options.model
+ * @param {string} options.label        Used in log lines, e.g. "Crop sync job"
+ * @param {object} options.statuses     { ready, locked, succeeded, failed } status values
+ * @param {function} options.backoffDelayMs  attempts -> delay before the next attempt
+ * @param {function} options.perform    async (doc) => void. Does the work and records
+ *   the result on doc; throws to fail the attempt. It may set doc.status itself
+ *   (e.g. "superseded") to finish without the default success status.
+ * @param {function} [options.claimFields]  now -> extra fields set when claiming
+ */
+const createOutbox = ({ model, label, statuses, backoffDelayMs, perform, claimFields = () => ({}) }) => {
+  /**
+   * Make one attempt. The document is claimed atomically so the worker and
+   * an inline call never deliver the same item twice. Resolves with the
+   * latest state; never throws for delivery errors.
+   */
+  const attempt = async (id) => {
+    const now = new Date();
+
+    const doc = await model.findOneAndUpdate(
+      { _id: id, status: statuses.ready },
+      {
+        $set: { status: statuses.locked, lockedAt: now, updatedAt: now, ...claimFields(now) },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+
+    if (!doc) {
+      return model.findById(id);
+    }
+
+    try {
+      await perform(doc);
+      if (doc.status === statuses.locked) {
+        doc.status = statuses.succeeded;
+      }
+      doc.lastError = undefined;
+    } catch (error) {
+      const detail = errorDetail(error);
+      doc.lastError = detail;
+
+      if (doc.attempts >= doc.maxAttempts) {
+        doc.status = statuses.failed;
+        console.error(`❌ ${label} ${doc._id} failed permanently after ${doc.attempts} attempts:`, detail);
+      } else {
+        doc.status = statuses.ready;
+        doc.nextAttemptAt = new Date(Date.now() + backoffDelayMs(doc.attempts));
+        console.warn(`⚠️ ${label} ${doc._id} failed (attempt ${doc.attempts}), retrying at ${doc.nextAttemptAt.toISOString()}:`, detail);
+      }
+    }
+
+    doc.lockedAt = undefined;
+    await doc.save();
+    return doc;
+  };
+
+  // Attempt everything whose retry time has come, oldest first
+  const processDue = async ({ batchSize = 20 } = {}) => {
+    // Release items left behind by a worker that died mid-attempt
+    await model.updateMany(
+      { status: statuses.locked, lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: statuses.ready, nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+    );
+
+    const due = await model
+      .find({ status: statuses.ready, nextAttemptAt: { $lte: new Date() } })
+      .sort({ createdAt: 1 })
+      .limit(batchSize)
+      .select("_id");
+
+    const results = [];
+    for (const { _id } of due) {
+      results.push(await attempt(_id));
+    }
+    return results;
+  };
+
+  return { attempt, processDue };
+};
+
+module.exports = {
+  createOutbox,
+};
@@ -0,0 +1,158 @@
+// services/photoHash.js - Perceptual hashing to spot reused photos
+const Jimp = require("jimp");
+const Verification = require("../models/Verification");
+
+// Hashes this many bits apart (out of 64) count as the same picture.
+// Candidates are found by exact match on one of 4 16-bit bands, which
+// guarantees every pair up to 3 bits apart is found, so keep this <= 3.
+const MAX_DISTANCE = Math.min(3, parseInt(process.env.PHASH_MAX_DISTANCE || "3", 10));
+const BAND_COUNT = 4;
+const BAND_HEX_LENGTH = 16 / BAND_COUNT;
+
+/**
+ * 64-bit DCT perceptual hash as 16 hex chars. Survives re-compression,
+ * resizing and small edits, unlike a byte checksum. Resolves null when
+ * the image can't be decoded so a bad file never blocks a submission.
+ */
+const computePhash = async (buffer) => {
+  try {
+    const image = await Jimp.read(buffer);
+    const bits = image.hash(2).padStart(64, "0");
+    let hex = "";
+    for (let i = 0; i < 64; i += 4) {
+      hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+    }
+    return hex;
+  } catch (error) {
+    console.warn("⚠️ Could not compute perceptual hash:", error.message);
+    return null;
+  }
+};
+
+// "0123456789abcdef" -> ["0:0123", "1:4567", "2:89ab", "3:cdef"]
+const hashBands = (hash) => {
+  const bands = [];
+  for (let i = 0; i < BAND_COUNT; i++) {
+    bands.push(`${i}:${hash.slice(i * BAND_HEX_LENGTH, (i + 1) * BAND_HEX_LENGTH)}`);
+  }
+  return bands;
+};
+
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (xor) {
+      distance += xor & 1;
+      xor >>= 1;
+    }
+  }
+  return distance;
+};
+
+/**
+ * For each hash, find photos in other verifications that look the same.
+ * Earlier attempts for the same farmer and crop (`userId` + `cropId`) are
+ * skipped: resubmitting your own photos is not reuse across farms.
+ * Returns one array of matches per input hash (empty when none).
+ */
+const findDuplicatePhotos = async (hashes, { excludeVerificationId, userId, cropId } = {}) => {
+  const valid = hashes.filter(Boolean);
+  if (valid.length === 0) return hashes.map(() => []);
+
+  const query = {
+    "photos.phashBands": { $in: [...new Set(valid.flatMap(hashBands))] },
+  };
+  if (excludeVerificationId) {
+    query._id = { $ne: excludeVerificationId };
+  }
+  if (userId && cropId) {
+    query.$nor = [{ userId, cropId }];
+  }
+
+  const candidates = await Verification.find(query)
+    .select("_id userId cropId photos._id photos.phash")
+    .lean();
+
+  return hashes.map((hash) => {
+    if (!hash) return [];
+
+    const matches = [];
+    candidates.forEach((candidate) => {
+      candidate.photos.forEach((photo) => {
+        if (!photo.phash) return;
+        const distance = hammingDistance(hash, photo.phash);
+        if (distance <= MAX_DISTANCE) {
+          matches.push({
+            verificationId: candidate._id,
+            photoId: photo._id,
+            cropId: candidate.cropId,
+            userId: candidate.userId,
+            distance,
+          });
+        }
+      });
+    });
+    return matches;
+  });
+};
+
+/**
+ * Record the reverse link on every earlier photo that a new photo matched,
+ * so the older verification also shows the reuse. Pass `photos` when only
+ * some of the request's photos are new; the rest are already linked.
+ */
+const linkDuplicatesBack = async (verification, photos = verification.photos) => {
+  const updates = [];
+
+  photos.forEach((photo) => {
+    (photo.duplicates || []).forEach((match) => {
+      updates.push(
+        Verification.updateOne(
+          { _id: match.verificationId },
+          {
+            $push: {
+              "photos.$[p].duplicates": {
+                verificationId: verification._id,
+                photoId: photo._id,
+                cropId: verification.cropId,
+                userId: verification.userId,
+                distance: match.distance,
+                detectedAt: new Date(),
+              },
+            },
+          },
+          { arrayFilters: [{ "p._id": match.photoId }] }
+        )
+      );
+    });
+  });
+
+  await Promise.all(updates);
+};
+
+// Reviewer-facing list of duplicate matches with links to the other requests
+const duplicateReport = (verification, baseUrl) => {
+  return (verification.photos || [])
+    .filter((photo) => photo.duplicates && photo.duplicates.length > 0)
+    .map((photo) => ({
+      photoId: photo._id,
+      matches: photo.duplicates.map((match) => ({
+        verificationId: match.verificationId,
+        photoId: match.photoId,
+        cropId: match.cropId,
+        userId: match.userId,
+        distance: match.distance,
+        link: `${baseUrl}/${match.verificationId}`,
+      })),
+    }));
+};
+
+module.exports = {
+  computePhash,
+  hashBands,
+  hammingDistance,
+  findDuplicatePhotos,
+  linkDuplicatesBack,
+  duplicateReport,
+};
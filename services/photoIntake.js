@@ -0,0 +1,65 @@
+// services/photoIntake.js - Turn uploaded files into verification photo entries
+const { extractExif, flagPhoto } = require("./photoMetadata");
+const { computePhash, hashBands, findDuplicatePhotos } = require("./photoHash");
+const { uploadPhoto, discardPhotos } = require("./storage");
+
+/**
+ * Read EXIF, hash and upload each multer file, returning the photo
+ * subdocuments in the same order. `coordinates` ([lng, lat]) is what the
+ * EXIF GPS is checked against; `excludeVerificationId` keeps a request
+ * from matching its own photos as duplicates, and `userId`/`cropId` keep
+ * it from matching the same farmer's earlier attempts for the crop.
+ */
+const processPhotos = async (files, { coordinates, namePrefix, excludeVerificationId, userId, cropId } = {}) => {
+  // Read EXIF from the original buffers; Cloudinary's transformation drops it
+  const exifResults = await Promise.all(
+    files.map((file) => extractExif(file.buffer))
+  );
+
+  // Perceptual hashes, checked against every earlier verification.
+  // Decoded one at a time to keep memory bounded.
+  const phashes = [];
+  for (const file of files) {
+    phashes.push(await computePhash(file.buffer));
+  }
+  const duplicateMatches = await findDuplicatePhotos(phashes, {
+    excludeVerificationId,
+    userId,
+    cropId,
+  });
+
+  // If any upload fails, remove the ones that succeeded before giving up
+  const settled = await Promise.allSettled(
+    files.map((file, index) => uploadPhoto(file, `${namePrefix}_${index}`))
+  );
+  const failed = settled.find((result) => result.status === "rejected");
+  if (failed) {
+    await discardPhotos(
+      settled
+        .filter((result) => result.status === "fulfilled")
+        .map((result) => ({ storage: result.value }))
+    );
+    throw failed.reason;
+  }
+  const uploadResults = settled.map((result) => result.value);
+
+  return uploadResults.map((result, index) => ({
+    url: result.url,
+    storage: { backend: result.backend, key: result.key, ...result.metadata },
+    status: "pending",
+    exif: exifResults[index] || undefined,
+    flags: flagPhoto(exifResults[index], coordinates),
+    phash: phashes[index] || undefined,
+    phashBands: phashes[index] ? hashBands(phashes[index]) : [],
+    duplicates: duplicateMatches[index],
+  }));
+};
+
+const hasDuplicates = (photos) => {
+  return photos.some((photo) => photo.duplicates && photo.duplicates.length > 0);
+};
+
+module.exports = {
+  processPhotos,
+  hasDuplicates,
+};
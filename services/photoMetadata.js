@@ -0,0 +1,111 @@
+// services/photoMetadata.js - EXIF extraction and sanity flags for uploaded photos
+const exifr = require("exifr");
+
+// A photo taken further than this from the submitted location is flagged
+const MAX_DISTANCE_KM = parseFloat(process.env.PHOTO_MAX_DISTANCE_KM || "2");
+// A photo captured longer ago than this is flagged as possibly reused
+const MAX_CAPTURE_AGE_DAYS = parseInt(process.env.PHOTO_MAX_CAPTURE_AGE_DAYS || "30", 10);
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two [lng, lat] points in kilometres
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const validDate = (value) => {
+  return value instanceof Date && !isNaN(value.getTime()) ? value : undefined;
+};
+
+/**
+ * Read capture time, camera GPS and device details from an image buffer.
+ * Returns null when the image carries no EXIF (screenshots, stripped
+ * uploads, some WhatsApp-forwarded images).
+ */
+const extractExif = async (buffer) => {
+  let tags;
+  try {
+    tags = await exifr.parse(buffer, {
+      tiff: true,
+      exif: true,
+      gps: true,
+      pick: [
+        "DateTimeOriginal",
+        "CreateDate",
+        "Make",
+        "Model",
+        "Software",
+        "GPSLatitude",
+        "GPSLongitude",
+        "GPSLatitudeRef",
+        "GPSLongitudeRef",
+        "GPSAltitude",
+      ],
+    });
+  } catch (error) {
+    console.warn("⚠️ Could not parse EXIF:", error.message);
+    return null;
+  }
+
+  if (!tags) return null;
+
+  const hasGps =
+    typeof tags.latitude === "number" &&
+    typeof tags.longitude === "number" &&
+    !(tags.latitude === 0 && tags.longitude === 0);
+
+  return {
+    capturedAt: validDate(tags.DateTimeOriginal) || validDate(tags.CreateDate),
+    latitude: hasGps ? tags.latitude : undefined,
+    longitude: hasGps ? tags.longitude : undefined,
+    altitude: typeof tags.GPSAltitude === "number" ? tags.GPSAltitude : undefined,
+    make: tags.Make,
+    model: tags.Model,
+    software: tags.Software,
+  };
+};
+
+/**
+ * Compare a photo's EXIF against the submitted [lng, lat] coordinates.
+ * Missing data is flagged separately from data that contradicts the request.
+ */
+const flagPhoto = (exif, coordinates, now = new Date()) => {
+  const flags = {
+    missingExif: !exif,
+    missingGps: !exif || exif.latitude === undefined,
+    missingCaptureTime: !exif || !exif.capturedAt,
+    gpsMismatch: false,
+    staleCapture: false,
+  };
+
+  if (exif && exif.latitude !== undefined && coordinates) {
+    flags.distanceKm = Math.round(haversineKm([exif.longitude, exif.latitude], coordinates) * 100) / 100;
+    flags.gpsMismatch = flags.distanceKm > MAX_DISTANCE_KM;
+  }
+
+  if (exif && exif.capturedAt) {
+    flags.captureAgeDays = Math.floor((now - exif.capturedAt) / (24 * 60 * 60 * 1000));
+    flags.staleCapture = flags.captureAgeDays > MAX_CAPTURE_AGE_DAYS;
+  }
+
+  return flags;
+};
+
+// True when a stored photo failed one of the location/date checks
+const isPhotoFlagged = (photo) => {
+  return Boolean(photo.flags && (photo.flags.gpsMismatch || photo.flags.staleCapture));
+};
+
+module.exports = {
+  haversineKm,
+  extractExif,
+  flagPhoto,
+  isPhotoFlagged,
+};
@@ -0,0 +1,300 @@
+// services/review.js - Photo review and finalize decisions, shared by the
+// single-request routes and the bulk endpoint
+const mongoose = require("mongoose");
+const Verification = require("../models/Verification");
+const { diffSnapshots, snapshotVerification, recordAudit } = require("./audit");
+const { enqueueCropSync, processCropSyncJob } = require("./cropSync");
+const { holdsLease, activeClaim } = require("./reviewQueue");
+const { notifyVerificationOutcome } = require("./notifications");
+const { expiryFor } = require("./approvalExpiry");
+const { describeRejectionReason } = require("../config/rejectionReasons");
+const ApiError = require("../utils/apiError");
+
+const LOCATION_TYPES = ["farm", "village"];
+
+// A refused review step; statusCode/message/data map straight onto the response
+class ReviewError extends ApiError {
+  constructor(statusCode, message, data) {
+    super(statusCode, message, { data });
+    this.name = "ReviewError";
+  }
+}
+
+const leaseError = (verification) => {
+  const claim = activeClaim(verification);
+  return new ReviewError(
+    409,
+    claim
+      ? `This request is claimed by ${claim.reviewerEmail} until ${claim.expiresAt.toISOString()}`
+      : "Claim this request before reviewing it",
+    { claim }
+  );
+};
+
+const staleError = (currentVersion) => {
+  return new ReviewError(
+    409,
+    "This request was modified by someone else. Reload it and try again.",
+    { currentVersion }
+  );
+};
+
+// Pending, claimed by this reviewer, and still at the version they saw
+const assertReviewable = (verification, reviewer, expectedVersion, action) => {
+  if (verification.status !== "pending") {
+    throw new ReviewError(400, `${action}. Request is already ${verification.status}`);
+  }
+  if (!holdsLease(verification, reviewer)) {
+    throw leaseError(verification);
+  }
+  if (verification.__v !== expectedVersion) {
+    throw staleError(verification.__v);
+  }
+};
+
+/**
+ * Record photo decisions. `photos` is a list of per-photo decisions
+ * ({ photoId, status, rejectionReason, reviewNote, annotations }) and leaves
+ * unlisted photos alone; the older `approvedPhotoIds` form approves the
+ * listed photos and rejects every other one without a reason.
+ * Resolves with the saved verification.
+ */
+const reviewPhotos = async ({ verification, approvedPhotoIds, photos, reviewer, expectedVersion, req }) => {
+  assertReviewable(verification, reviewer, expectedVersion, "Cannot review images");
+
+  const decisions = photos
+    ? photos
+    : verification.photos.map((photo) => ({
+        photoId: photo._id.toString(),
+        status: approvedPhotoIds.includes(photo._id.toString()) ? "approved" : "rejected",
+      }));
+
+  const invalidPhotoIds = decisions
+    .filter((decision) => !verification.photos.id(decision.photoId))
+    .map((decision) => decision.photoId);
+
+  if (invalidPhotoIds.length > 0) {
+    throw new ReviewError(400, "Some photos do not belong to this request", { invalidPhotoIds });
+  }
+
+  const before = snapshotVerification(verification);
+  const now = new Date();
+
+  decisions.forEach((decision) => {
+    const photo = verification.photos.id(decision.photoId);
+    photo.status = decision.status;
+    photo.rejectionReason = decision.status === "rejected" ? decision.rejectionReason : undefined;
+    photo.reviewNote = decision.reviewNote || undefined;
+    photo.annotations = decision.annotations || [];
+    photo.reviewedAt = now;
+    photo.reviewedBy = reviewer.email;
+  });
+
+  // The lease is checked again in the write itself (alongside the version
+  // check optimisticConcurrency adds), so a lease that expired or was
+  // reassigned since it was read above can't be written through
+  verification.$where = {
+    status: "pending",
+    "claim.reviewerId": reviewer._id,
+    "claim.expiresAt": { $gt: now },
+  };
+
+  try {
+    await verification.save();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.VersionError)) {
+      throw error;
+    }
+
+    // Nothing matched: either a concurrent save slipped in or the lease is gone
+    const latest = await Verification.findById(verification._id);
+    if (!latest || latest.__v !== expectedVersion || latest.status !== "pending") {
+      throw staleError(latest ? latest.__v : undefined);
+    }
+    if (!holdsLease(latest, reviewer)) {
+      throw leaseError(latest);
+    }
+    throw staleError(latest.__v);
+  }
+
+  await recordAudit({
+    verification,
+    action: "photos_reviewed",
+    req,
+    changes: diffSnapshots(before, snapshotVerification(verification)),
+  });
+
+  return verification;
+};
+
+// Rejected photos with the reviewer's feedback, in the shape shown to farmers
+const rejectedPhotoDetails = (verification) => {
+  return verification.photos
+    .filter((photo) => photo.status === "rejected")
+    .map((photo) => ({
+      photoId: photo._id,
+      url: photo.url,
+      rejectionReason: photo.rejectionReason || null,
+      rejectionReasonText: photo.rejectionReason
+        ? describeRejectionReason(photo.rejectionReason)
+        : null,
+      reviewNote: photo.reviewNote || null,
+      annotations: photo.annotations || [],
+    }));
+};
+
+/**
+ * Approve or reject a pending request, then notify the farmer and push
+ * approved photos to the crop API. Input must already have passed the
+ * finalize schema in validators/verification.js. With `inlineSync: false`
+ * the crop update is only queued for the crop sync worker, which keeps
+ * callers that finalize many requests from waiting on the crop API.
+ * Resolves { verification, cropUpdateResult, cropSync }.
+ */
+const finalizeVerification = async ({
+  verification,
+  status,
+  rejectionReason,
+  rejectionNotes,
+  locationType,
+  reviewer,
+  expectedVersion,
+  req,
+  inlineSync = true,
+}) => {
+  assertReviewable(verification, reviewer, expectedVersion, "Cannot finalize");
+
+  if (
+    status === "approved" &&
+    !verification.photos.some((p) => p.status === "approved")
+  ) {
+    throw new ReviewError(400, "Cannot approve request. At least one photo must be approved first.");
+  }
+
+  const before = snapshotVerification(verification);
+  const now = new Date();
+
+  const update = {
+    status,
+    reviewedAt: now,
+    // Reviewer identity comes from the auth token, never from the request body
+    reviewedBy: reviewer.email,
+    updatedAt: now,
+  };
+
+  if (status === "rejected") {
+    update.rejectionReason = rejectionReason;
+    if (rejectionNotes) {
+      update.rejectionNotes = rejectionNotes;
+    }
+  }
+
+  if (status === "approved" && locationType) {
+    update["location.locationType"] = locationType;
+  }
+
+  if (status === "approved" && expiryFor(now)) {
+    update.expiresAt = expiryFor(now);
+  }
+
+  // Single conditional write: the version, pending status, lease and (for
+  // approvals) the presence of an approved photo are all checked in the
+  // same operation that changes the status, so no concurrent photo review
+  // can slip in between the check and the decision.
+  const condition = {
+    _id: verification._id,
+    __v: expectedVersion,
+    status: "pending",
+    "claim.reviewerId": reviewer._id,
+    "claim.expiresAt": { $gt: now },
+  };
+
+  if (status === "approved") {
+    condition["photos.status"] = "approved";
+  }
+
+  const finalized = await Verification.findOneAndUpdate(
+    condition,
+    {
+      $set: update,
+      $unset: { claim: 1 }, // The decision is made, so the lease is no longer needed
+      $inc: { __v: 1 },
+    },
+    { new: true }
+  );
+
+  if (!finalized) {
+    const latest = await Verification.findById(verification._id);
+
+    if (!latest || latest.__v !== expectedVersion || latest.status !== "pending") {
+      throw staleError(latest ? latest.__v : undefined);
+    }
+    if (!holdsLease(latest, reviewer)) {
+      throw leaseError(latest);
+    }
+    throw new ReviewError(400, "Cannot approve request. At least one photo must be approved first.");
+  }
+
+  // Approved photos as of the committed decision
+  const approvedPhotos = finalized.photos.filter((p) => p.status === "approved");
+
+  await recordAudit({
+    verification: finalized,
+    action: "finalized",
+    req,
+    changes: diffSnapshots(before, snapshotVerification(finalized)),
+  });
+
+  // Tell the farmer in the background; delivery is retried by the notification worker
+  notifyVerificationOutcome(finalized).catch((error) => {
+    console.error(`❌ Failed to queue ${status} notification for ${finalized._id}:`, error);
+  });
+
+  // PATCH CROP API - Update images and location if there are approved photos.
+  // The update is recorded in the outbox first so a failed call is retried
+  // by the crop sync worker instead of being lost.
+  let cropUpdateResult = null;
+  let cropSync = null;
+  if (approvedPhotos.length > 0) {
+    const job = await enqueueCropSync({
+      verification: finalized,
+      operation: "update_images_location",
+      payload: {
+        images: approvedPhotos.map((photo) => photo.url),
+        coordinates: [
+          finalized.location.coordinates[0], // longitude
+          finalized.location.coordinates[1], // latitude
+        ],
+      },
+      createdBy: reviewer.email,
+    });
+
+    // First attempt inline so the reviewer sees the result immediately
+    const attempted = inlineSync ? await processCropSyncJob(job._id) : job;
+
+    if (attempted.status === "succeeded") {
+      cropUpdateResult = attempted.response;
+    } else if (inlineSync) {
+      console.warn(`⚠️ Verification finalized but crop update failed for cropId: ${finalized.cropId}. Job ${attempted._id} will retry.`);
+    }
+
+    cropSync = {
+      jobId: attempted._id,
+      status: attempted.status,
+      attempts: attempted.attempts,
+      nextAttemptAt: attempted.status === "pending" ? attempted.nextAttemptAt : null,
+      lastError: attempted.lastError || null,
+    };
+  }
+
+  return { verification: finalized, cropUpdateResult, cropSync };
+};
+
+module.exports = {
+  LOCATION_TYPES,
+  ReviewError,
+  leaseError,
+  reviewPhotos,
+  finalizeVerification,
+  rejectedPhotoDetails,
+};
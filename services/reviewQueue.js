@@ -0,0 +1,119 @@
+// services/reviewQueue.js - Time-limited review claims ("leases") on pending requests
+const Verification = require("../models/Verification");
+
+const LEASE_MINUTES = parseInt(process.env.REVIEW_LEASE_MINUTES || "15", 10);
+
+const leaseExpiry = () => new Date(Date.now() + LEASE_MINUTES * 60 * 1000);
+
+const claimFor = (reviewer) => ({
+  reviewerId: reviewer._id,
+  reviewerEmail: reviewer.email,
+  claimedAt: new Date(),
+  expiresAt: leaseExpiry(),
+});
+
+// Matches documents nobody currently holds a live lease on
+const unclaimedFilter = () => ({
+  $or: [
+    { "claim.expiresAt": { $exists: false } },
+    { "claim.expiresAt": null },
+    { "claim.expiresAt": { $lte: new Date() } },
+  ],
+});
+
+const heldByFilter = (reviewer) => ({
+  "claim.reviewerId": reviewer._id,
+  "claim.expiresAt": { $gt: new Date() },
+});
+
+// True when the reviewer holds a live lease on the verification
+const holdsLease = (verification, reviewer) => {
+  const claim = verification.claim;
+  return Boolean(
+    claim &&
+      claim.reviewerId &&
+      claim.expiresAt &&
+      claim.expiresAt > new Date() &&
+      claim.reviewerId.toString() === reviewer._id.toString()
+  );
+};
+
+// Public view of a claim, or null when there is no live one
+const activeClaim = (verification) => {
+  const claim = verification.claim;
+  if (!claim || !claim.expiresAt || claim.expiresAt <= new Date()) return null;
+  return {
+    reviewerId: claim.reviewerId,
+    reviewerEmail: claim.reviewerEmail,
+    claimedAt: claim.claimedAt,
+    expiresAt: claim.expiresAt,
+  };
+};
+
+/**
+ * Hand the reviewer the oldest unclaimed pending request matching `query`.
+ * A reviewer who already holds a lease gets that request back (renewed)
+ * instead of a second one, so one person can't hoard the queue.
+ */
+const claimNext = async (reviewer, query = {}) => {
+  const held = await Verification.findOneAndUpdate(
+    { status: "pending", ...heldByFilter(reviewer) },
+    { $set: { "claim.expiresAt": leaseExpiry() } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+  if (held) return held;
+
+  return Verification.findOneAndUpdate(
+    { ...query, status: "pending", ...unclaimedFilter() },
+    { $set: { claim: claimFor(reviewer) } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Claim a specific request. Resolves null if someone else holds it.
+const claimById = (id, reviewer) => {
+  return Verification.findOneAndUpdate(
+    {
+      _id: id,
+      status: "pending",
+      $or: [...unclaimedFilter().$or, heldByFilter(reviewer)],
+    },
+    { $set: { claim: claimFor(reviewer) } },
+    { new: true }
+  );
+};
+
+// Extend the caller's own lease. Resolves null if they don't hold it.
+const renewClaim = (id, reviewer) => {
+  return Verification.findOneAndUpdate(
+    { _id: id, status: "pending", ...heldByFilter(reviewer) },
+    { $set: { "claim.expiresAt": leaseExpiry() } },
+    { new: true }
+  );
+};
+
+// Drop the claim. Unless `force` (supervisors), only the holder may release.
+const releaseClaim = (id, reviewer, { force = false } = {}) => {
+  const filter = force ? { _id: id } : { _id: id, ...heldByFilter(reviewer) };
+  return Verification.findOneAndUpdate(filter, { $unset: { claim: 1 } }, { new: true });
+};
+
+// Hand a pending request to another reviewer, overriding any current lease
+const reassignClaim = (id, targetReviewer) => {
+  return Verification.findOneAndUpdate(
+    { _id: id, status: "pending" },
+    { $set: { claim: claimFor(targetReviewer) } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  LEASE_MINUTES,
+  holdsLease,
+  activeClaim,
+  claimNext,
+  claimById,
+  renewClaim,
+  releaseClaim,
+  reassignClaim,
+};
@@ -0,0 +1,60 @@
+// services/storage/cloudinary.js - Cloudinary-hosted photos
+const cloudinary = require("../../config/cloudinary");
+
+module.exports = {
+  name: "cloudinary",
+
+  upload(buffer, { folder, name }) {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          resource_type: "image",
+          public_id: name,
+          transformation: [
+            { width: 1024, height: 1024, crop: "limit" },
+            { quality: "auto:good" },
+          ],
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve({
+            backend: "cloudinary",
+            key: result.public_id,
+            url: result.secure_url,
+            metadata: {
+              assetId: result.asset_id,
+              version: result.version,
+              width: result.width,
+              height: result.height,
+              bytes: result.bytes,
+              format: result.format,
+            },
+          });
+        }
+      );
+      uploadStream.end(buffer);
+    });
+  },
+
+  async remove(key) {
+    await cloudinary.uploader.destroy(key, { resource_type: "image", invalidate: true });
+  },
+
+  async *list(folder) {
+    let nextCursor;
+    do {
+      const page = await cloudinary.api.resources({
+        type: "upload",
+        resource_type: "image",
+        prefix: `${folder}/`,
+        max_results: 500,
+        next_cursor: nextCursor,
+      });
+      for (const resource of page.resources) {
+        yield { key: resource.public_id, createdAt: new Date(resource.created_at) };
+      }
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+  },
+};
@@ -0,0 +1,75 @@
+// services/storage/index.js - Photo storage backend, chosen by STORAGE_BACKEND
+//
+// Every backend implements
+//   upload(buffer, { folder, name, extension, contentType }) -> { backend, key, url, metadata }
+//   remove(key)
+//   list(folder) -> async iterable of { key, createdAt }
+// and each photo records { backend, key, ...metadata } so assets can be found
+// (and migrated) later regardless of which backend is currently active.
+// metadata holds whatever the backend reports: bytes and format always,
+// plus assetId, version, width and height from Cloudinary.
+const BACKENDS = {
+  cloudinary: () => require("./cloudinary"),
+  local: () => require("./local"),
+  s3: () => require("./s3"),
+};
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "cloudinary";
+const STORAGE_FOLDER = "farm-verifications";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "image/heif": "heif",
+};
+
+// Backends are loaded lazily so unused ones need no configuration
+const getStorage = (name = STORAGE_BACKEND) => {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return load();
+};
+
+// Upload one multer file to the active backend
+const uploadPhoto = (file, name) => {
+  return getStorage().upload(file.buffer, {
+    folder: STORAGE_FOLDER,
+    name: `verification_${Date.now()}_${name}`,
+    extension: EXTENSIONS[file.mimetype] || "jpg",
+    contentType: file.mimetype,
+  });
+};
+
+// Delete a stored photo from whichever backend holds it
+const removePhoto = ({ backend, key }) => {
+  return getStorage(backend).remove(key);
+};
+
+/**
+ * Best-effort delete of assets nothing will reference, e.g. uploads from a
+ * submission that failed to save. Never throws; failures are logged and
+ * left for the storage reconciliation job.
+ */
+const discardPhotos = async (photos) => {
+  const stored = (photos || []).filter((photo) => photo.storage && photo.storage.key);
+  const results = await Promise.allSettled(stored.map((photo) => removePhoto(photo.storage)));
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.error(`❌ Failed to delete uploaded asset ${stored[index].storage.key}:`, result.reason);
+    }
+  });
+};
+
+module.exports = {
+  STORAGE_BACKEND,
+  STORAGE_FOLDER,
+  getStorage,
+  uploadPhoto,
+  removePhoto,
+  discardPhotos,
+};
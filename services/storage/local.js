@@ -0,0 +1,58 @@
+// services/storage/local.js - Photos on the server's own disk, served by routes/files.js
+const fs = require("fs/promises");
+const path = require("path");
+
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || "uploads");
+// Public origin of this API, e.g. https://api.example.com (empty = relative URLs)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "");
+
+// Resolve a key inside the storage dir, refusing anything that escapes it
+const resolveKey = (key) => {
+  const fullPath = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!fullPath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return fullPath;
+};
+
+module.exports = {
+  name: "local",
+  directory: LOCAL_STORAGE_DIR,
+
+  async upload(buffer, { folder, name, extension }) {
+    const key = `${folder}/${name}.${extension}`;
+    const fullPath = resolveKey(key);
+
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer);
+
+    return {
+      backend: "local",
+      key,
+      url: `${PUBLIC_BASE_URL}/files/${key}`,
+      metadata: { bytes: buffer.length, format: extension },
+    };
+  },
+
+  async remove(key) {
+    await fs.rm(resolveKey(key), { force: true });
+  },
+
+  async *list(folder) {
+    const root = resolveKey(folder);
+    const entries = await fs.readdir(root, { recursive: true, withFileTypes: true }).catch((error) => {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    });
+
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const fullPath = path.join(entry.path || entry.parentPath, entry.name);
+      const stats = await fs.stat(fullPath);
+      yield {
+        key: path.relative(LOCAL_STORAGE_DIR, fullPath).split(path.sep).join("/"),
+        createdAt: stats.mtime,
+      };
+    }
+  },
+};
@@ -0,0 +1,85 @@
+// services/storage/s3.js - Any S3-compatible bucket (AWS S3, MinIO, R2, Spaces...)
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+const {
+  S3_BUCKET,
+  S3_REGION = "ap-south-1",
+  S3_ENDPOINT,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+  S3_PUBLIC_URL,
+} = process.env;
+
+let client;
+const getClient = () => {
+  if (!S3_BUCKET) {
+    throw new Error("S3_BUCKET is not configured");
+  }
+  if (!client) {
+    client = new S3Client({
+      region: S3_REGION,
+      endpoint: S3_ENDPOINT || undefined,
+      // Self-hosted S3 (MinIO etc.) usually needs path-style URLs
+      forcePathStyle: Boolean(S3_ENDPOINT),
+      credentials: S3_ACCESS_KEY_ID
+        ? { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+const publicUrl = (key) => {
+  if (S3_PUBLIC_URL) return `${S3_PUBLIC_URL.replace(/\/$/, "")}/${key}`;
+  return `https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com/${key}`;
+};
+
+module.exports = {
+  name: "s3",
+
+  async upload(buffer, { folder, name, extension, contentType }) {
+    const key = `${folder}/${name}.${extension}`;
+
+    await getClient().send(
+      new PutObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      })
+    );
+
+    return {
+      backend: "s3",
+      key,
+      url: publicUrl(key),
+      metadata: { bytes: buffer.length, format: extension },
+    };
+  },
+
+  async remove(key) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+  },
+
+  async *list(folder) {
+    let continuationToken;
+    do {
+      const page = await getClient().send(
+        new ListObjectsV2Command({
+          Bucket: S3_BUCKET,
+          Prefix: `${folder}/`,
+          ContinuationToken: continuationToken,
+        })
+      );
+      for (const object of page.Contents || []) {
+        yield { key: object.Key, createdAt: object.LastModified };
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+  },
+};
@@ -0,0 +1,86 @@
+// services/storageReconciliation.js - Find and delete stored photos that no
+// verification references (uploads whose request never saved, etc.)
+const Verification = require("../models/Verification");
+const { STORAGE_BACKEND, STORAGE_FOLDER, getStorage } = require("./storage");
+
+// Assets younger than this may belong to a submission that is still saving
+const GRACE_HOURS = parseInt(process.env.STORAGE_ORPHAN_GRACE_HOURS || "24", 10);
+// Cap on deletions per run, so a bad reference lookup can't empty the folder
+const MAX_DELETES = parseInt(process.env.STORAGE_RECONCILE_MAX_DELETES || "500", 10);
+const HOUR_MS = 60 * 60 * 1000;
+// Listed keys looked up per query
+const LOOKUP_BATCH_SIZE = 200;
+
+// Which of `keys` are still referenced, by current or replaced photos alike.
+// Only verifications holding one of the keys are read, so the result stays
+// small however many photos are on record.
+const referencedKeys = async (keys) => {
+  const [photoKeys, replacedKeys] = await Promise.all([
+    Verification.distinct("photos.storage.key", { "photos.storage.key": { $in: keys } }),
+    Verification.distinct("replacedPhotos.storage.key", { "replacedPhotos.storage.key": { $in: keys } }),
+  ]);
+  return new Set([...photoKeys, ...replacedKeys]);
+};
+
+/**
+ * Compare the backend's STORAGE_FOLDER with the photos on record and delete
+ * assets nothing points at. With `dryRun` nothing is deleted; the orphans
+ * are only reported.
+ * Resolves { backend, dryRun, scanned, orphans, deleted, failed }.
+ */
+const reconcileStorage = async ({ backend = STORAGE_BACKEND, dryRun = false, now = new Date() } = {}) => {
+  // Photos from before storage keys were recorded (current or replaced)
+  // can't be matched, so their assets would all look orphaned
+  const missingKey = { $elemMatch: { "storage.key": { $exists: false } } };
+  const untracked = await Verification.exists({
+    $or: [{ photos: missingKey }, { replacedPhotos: missingKey }],
+  });
+  if (untracked) {
+    throw new Error("Some photos have no storage key; run scripts/backfillPhotoStorage.js before reconciling");
+  }
+
+  const storage = getStorage(backend);
+  const cutoff = new Date(now.getTime() - GRACE_HOURS * HOUR_MS);
+
+  const result = { backend, dryRun, scanned: 0, orphans: [], deleted: 0, failed: 0 };
+
+  // Delete the unreferenced keys of one batch; false once the cap is reached
+  const sweep = async (batch) => {
+    const referenced = await referencedKeys(batch);
+    for (const key of batch) {
+      if (referenced.has(key)) continue;
+      if (result.orphans.length >= MAX_DELETES) return false;
+
+      result.orphans.push(key);
+      if (dryRun) continue;
+
+      try {
+        await storage.remove(key);
+        result.deleted++;
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Failed to delete orphaned asset ${key}:`, error);
+      }
+    }
+    return true;
+  };
+
+  let batch = [];
+  for await (const asset of storage.list(STORAGE_FOLDER)) {
+    result.scanned++;
+    if (asset.createdAt > cutoff) continue;
+
+    batch.push(asset.key);
+    if (batch.length < LOOKUP_BATCH_SIZE) continue;
+    if (!(await sweep(batch))) return result;
+    batch = [];
+  }
+  if (batch.length) await sweep(batch);
+
+  return result;
+};
+
+module.exports = {
+  GRACE_HOURS,
+  reconcileStorage,
+};
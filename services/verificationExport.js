@@ -0,0 +1,134 @@
+// services/verificationExport.js - Streaming spreadsheet exports of verifications
+const ExcelJS = require("exceljs");
+const { isPhotoFlagged } = require("./photoMetadata");
+const { PassThrough } = require("stream");
+const { drained, closed, writeChunk } = require("../utils/streams");
+
+const countPhotos = (v, predicate) => {
+  return Array.isArray(v.photos) ? v.photos.filter(predicate).length : 0;
+};
+
+// Column key, header and value extractor, in spreadsheet order
+const COLUMNS = [
+  ["id", "Verification ID", (v) => String(v._id)],
+  ["createdAt", "Submitted At", (v) => v.createdAt],
+  ["status", "Status", (v) => v.status],
+  ["userId", "User ID", (v) => v.userId],
+  ["cropId", "Crop ID", (v) => v.cropId],
+  ["cropName", "Crop", (v) => v.cropName],
+  ["fullName", "Farmer Name", (v) => v.fullName],
+  ["phone", "Phone", (v) => v.phone],
+  ["village", "Village", (v) => v.village],
+  ["taluk", "Taluk", (v) => v.taluk],
+  ["district", "District", (v) => v.district],
+  ["quantity", "Quantity", (v) => v.quantity && v.quantity.value],
+  ["quantityUnit", "Quantity Unit", (v) => v.quantity && v.quantity.unit],
+  ["quantityQuintals", "Quantity (Quintals)", (v) => v.quantity && v.quantity.inQuintals],
+  ["variety", "Variety", (v) => v.variety],
+  ["moisture", "Moisture %", (v) => v.moisture],
+  ["willDry", "Will Dry", (v) => v.willDry],
+  ["longitude", "Longitude", (v) => v.location && v.location.coordinates[0]],
+  ["latitude", "Latitude", (v) => v.location && v.location.coordinates[1]],
+  ["locationType", "Location Type", (v) => v.location && v.location.locationType],
+  ["photosTotal", "Photos", (v) => countPhotos(v, () => true)],
+  ["photosApproved", "Photos Approved", (v) => countPhotos(v, (p) => p.status === "approved")],
+  ["photosRejected", "Photos Rejected", (v) => countPhotos(v, (p) => p.status === "rejected")],
+  ["photosPending", "Photos Pending", (v) => countPhotos(v, (p) => p.status === "pending")],
+  ["photosFlagged", "Photos Flagged", (v) => countPhotos(v, isPhotoFlagged)],
+  ["photosDuplicated", "Duplicate Photos", (v) => countPhotos(v, (p) => p.duplicates && p.duplicates.length > 0)],
+  ["locationMismatch", "Location Mismatch", (v) => Boolean(v.locationMismatch && v.locationMismatch.flagged)],
+  ["locationCluster", "Location Cluster", (v) => Boolean(v.locationCluster && v.locationCluster.flagged)],
+  ["rejectionReason", "Rejection Reason", (v) => v.rejectionReason],
+  ["rejectionNotes", "Rejection Notes", (v) => v.rejectionNotes],
+  ["reviewedBy", "Reviewed By", (v) => v.reviewedBy],
+  ["reviewedAt", "Reviewed At", (v) => v.reviewedAt],
+];
+
+const toRow = (v) => COLUMNS.map(([, , get]) => get(v));
+
+// Quote a CSV cell, and neutralise values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "string") return String(value);
+
+  const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Stream a Mongoose query cursor to the response one row at a time,
+ * honouring backpressure so memory stays flat for any result size.
+ */
+const streamCsv = async (cursor, res) => {
+  // BOM so Excel opens the file as UTF-8 (Kannada/Hindi names)
+  res.write("\uFEFF" + COLUMNS.map(([, header]) => csvCell(header)).join(",") + "\r\n");
+
+  let rows = 0;
+  for await (const v of cursor) {
+    if (res.destroyed) break;
+    await writeChunk(res, toRow(v).map(csvCell).join(",") + "\r\n");
+    rows++;
+  }
+
+  res.end();
+  return rows;
+};
+
+/**
+ * Same as streamCsv for XLSX. ExcelJS's zip buffers whatever it is given
+ * and never reports backpressure, so it writes into its own PassThrough
+ * and rows are only read from the cursor while that stream has room.
+ */
+const streamXlsx = async (cursor, res) => {
+  const output = new PassThrough();
+  output.pipe(res);
+  // A client abort leaves the pipe stalled; tear it down so waits end
+  res.on("close", () => {
+    if (!res.writableFinished) output.destroy();
+  });
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet("Verifications");
+  sheet.columns = COLUMNS.map(([key, header]) => ({ key, header, width: 18 }));
+
+  let rows = 0;
+  for await (const v of cursor) {
+    if (output.destroyed) break;
+    sheet.addRow(toRow(v)).commit();
+    rows++;
+    if (output.writableNeedDrain) {
+      await drained(output);
+    }
+  }
+
+  // Nobody left to send the file to; commit() would never finish
+  if (output.destroyed) {
+    return rows;
+  }
+
+  sheet.commit();
+  await Promise.race([workbook.commit(), closed(output)]);
+  return rows;
+};
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    write: streamCsv,
+  },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+    write: streamXlsx,
+  },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+};
@@ -0,0 +1,126 @@
+// utils/adminFilters.js - Query building shared by the admin list and exports
+const ADMIN_STATUSES = ["pending", "approved", "rejected", "expired", "revoked", "all"];
+
+const escapeRegex = (str) => {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Inclusive whole-day range (UTC) from fromDate/toDate query params
+const buildDateRange = (fromDate, toDate) => {
+  const range = {};
+
+  if (fromDate) {
+    const f = new Date(String(fromDate));
+    if (!isNaN(f.getTime())) {
+      f.setUTCHours(0, 0, 0, 0);
+      range.$gte = f;
+    }
+  }
+
+  if (toDate) {
+    const t = new Date(String(toDate));
+    if (!isNaN(t.getTime())) {
+      t.setUTCHours(23, 59, 59, 999);
+      range.$lte = t;
+    }
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Query params matched as case-insensitive substrings
+const REGEX_FILTERS = ["phone", "fullName", "cropName", "village", "taluk", "district"];
+// Query params matched exactly
+const EXACT_FILTERS = ["userId", "cropId"];
+// "true"/"false" query params mapped to a flag field
+const FLAG_FILTERS = {
+  locationMismatch: "locationMismatch.flagged",
+  locationCluster: "locationCluster.flagged",
+};
+// Inclusive numeric ranges: field -> [min param, max param].
+// Quantities are compared in quintals whatever unit was submitted.
+const RANGE_FILTERS = {
+  moisture: ["minMoisture", "maxMoisture"],
+  "quantity.inQuintals": ["minQuantity", "maxQuantity"],
+};
+
+// Sort keys accepted by the admin list; each is paged by (field, _id).
+const ADMIN_SORT_FIELDS = ["createdAt", "reviewedAt", "district", "cropName"];
+
+/**
+ * Build the Mongo query for /admin/:status (and its exports) from the
+ * route status and query string. Returns the query plus the filters that
+ * were actually applied, for echoing back to the client.
+ */
+const buildAdminQuery = (status, reqQuery) => {
+  const query = {};
+  const appliedFilters = {};
+
+  if (status !== "all") {
+    query.status = status;
+  }
+
+  EXACT_FILTERS.forEach((key) => {
+    if (reqQuery[key]) {
+      query[key] = String(reqQuery[key]).trim();
+      appliedFilters[key] = reqQuery[key];
+    }
+  });
+
+  REGEX_FILTERS.forEach((key) => {
+    if (reqQuery[key]) {
+      const escaped = escapeRegex(String(reqQuery[key]).trim());
+      query[key] = new RegExp(escaped, "i");
+      appliedFilters[key] = reqQuery[key];
+    }
+  });
+
+  const { fromDate, toDate } = reqQuery;
+  const createdAtRange = buildDateRange(fromDate, toDate);
+  if (createdAtRange) {
+    query.createdAt = createdAtRange;
+  }
+  if (fromDate) appliedFilters.fromDate = fromDate;
+  if (toDate) appliedFilters.toDate = toDate;
+
+  Object.entries(FLAG_FILTERS).forEach(([key, field]) => {
+    const value = reqQuery[key];
+    if (value === "true" || value === "false") {
+      query[field] = value === "true" ? true : { $ne: true };
+      appliedFilters[key] = value;
+    }
+  });
+
+  // Unlike the flags, willDry=false only matches an explicit "no"
+  const willDry = String(reqQuery.willDry);
+  if (willDry === "true" || willDry === "false") {
+    query.willDry = willDry === "true";
+    appliedFilters.willDry = willDry;
+  }
+
+  Object.entries(RANGE_FILTERS).forEach(([field, [minKey, maxKey]]) => {
+    const range = {};
+    [[minKey, "$gte"], [maxKey, "$lte"]].forEach(([key, operator]) => {
+      const value = reqQuery[key];
+      if (value === undefined || value === "") return;
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        range[operator] = number;
+        appliedFilters[key] = number;
+      }
+    });
+    if (Object.keys(range).length > 0) {
+      query[field] = range;
+    }
+  });
+
+  return { query, appliedFilters };
+};
+
+module.exports = {
+  ADMIN_STATUSES,
+  ADMIN_SORT_FIELDS,
+  escapeRegex,
+  buildDateRange,
+  buildAdminQuery,
+};
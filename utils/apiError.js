@@ -0,0 +1,19 @@
+// utils/apiError.js - Error carrying an HTTP status, turned into the standard
+// error envelope by middleware/errorHandler.js
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode HTTP status to respond with
+   * @param {string} message    Human-readable summary
+   * @param {object} [extra]    { details: [{ location, field, message }], data,
+   *                            cause: the underlying error behind a 5xx }
+   */
+  constructor(statusCode, message, { details, data, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.details = details;
+    this.data = data;
+  }
+}
+
+module.exports = ApiError;
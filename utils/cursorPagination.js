@@ -0,0 +1,90 @@
+// utils/cursorPagination.js - Keyset ("cursor") pagination on one sort field plus _id
+//
+// A cursor is the sort value and _id of the last row on the previous page,
+// base64url-encoded. The next page is everything strictly after that pair
+// in (field, _id) order, so rows inserted or removed between requests never
+// cause skipped or repeated results the way skip/limit does.
+//
+// MongoDB sorts missing/null values before everything else, so they come
+// first in ascending order and last in descending order; the filters below
+// follow the same rule so documents without e.g. reviewedAt are still paged.
+const mongoose = require("mongoose");
+const ApiError = require("./apiError");
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value === undefined ? null : value,
+    d: value instanceof Date ? 1 : 0,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) throw new Error("bad id");
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id),
+    };
+  } catch (error) {
+    throw new ApiError(400, "Validation failed", {
+      details: [{ location: "query", field: "cursor", message: "cursor is invalid or expired" }],
+    });
+  }
+};
+
+// Mongo filter for the rows after `cursor` when sorting by field/_id in `order`
+const afterCursor = (field, order, cursor) => {
+  const { value, id } = decodeCursor(cursor);
+  const desc = order === "desc";
+  const idOp = desc ? "$lt" : "$gt";
+
+  if (value === null) {
+    return desc
+      ? { [field]: null, _id: { [idOp]: id } }
+      : { $or: [{ [field]: null, _id: { [idOp]: id } }, { [field]: { $ne: null } }] };
+  }
+
+  const clauses = [
+    { [field]: { [desc ? "$lt" : "$gt"]: value } },
+    { [field]: value, _id: { [idOp]: id } },
+  ];
+  if (desc) {
+    clauses.push({ [field]: null });
+  }
+  return { $or: clauses };
+};
+
+/**
+ * Run one page of `query` sorted by field then _id. Fetches one extra row
+ * to know whether another page exists.
+ */
+const paginate = async (Model, query, { field, order = "desc", limit, cursor, select }) => {
+  const direction = order === "desc" ? -1 : 1;
+  const filter = cursor ? { $and: [query, afterCursor(field, order, cursor)] } : query;
+
+  let find = Model.find(filter)
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1);
+  if (select) find = find.select(select);
+
+  const rows = await find.lean();
+  const hasNextPage = rows.length > limit;
+  const items = hasNextPage ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    hasNextPage,
+    nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], field) : null,
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  paginate,
+};
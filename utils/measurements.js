@@ -0,0 +1,92 @@
+// utils/measurements.js - Parsing and normalising quantity, moisture and willDry
+
+// Canonical unit -> spellings seen from the crop API and the farmer app
+const UNIT_ALIASES = {
+  quintal: ["quintal", "quintals", "qtl", "qtls", "q"],
+  kg: ["kg", "kgs", "kilogram", "kilograms"],
+  tonne: ["tonne", "tonnes", "ton", "tons", "mt", "t"],
+};
+
+// How many quintals one of each canonical unit is
+const QUINTALS_PER_UNIT = {
+  quintal: 1,
+  kg: 0.01,
+  tonne: 10,
+};
+
+const QUANTITY_UNITS = Object.keys(UNIT_ALIASES);
+
+// "Quintals" -> "quintal"; unknown units (e.g. "bags") come back lower-cased
+const normalizeUnit = (unit) => {
+  const text = String(unit || "").trim().toLowerCase().replace(/\.$/, "");
+  if (!text) return null;
+  const canonical = QUANTITY_UNITS.find((key) => UNIT_ALIASES[key].includes(text));
+  return canonical || text;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * { value, unit, inQuintals } for a number and unit. inQuintals is left out
+ * for units that can't be converted, so those never match range filters.
+ */
+const buildQuantity = (value, unit) => {
+  const number = Number(value);
+  if (value === null || value === undefined || value === "" || !Number.isFinite(number) || number < 0) {
+    return undefined;
+  }
+
+  const canonical = normalizeUnit(unit) || "quintal";
+  const factor = QUINTALS_PER_UNIT[canonical];
+
+  return {
+    value: number,
+    unit: canonical,
+    inQuintals: factor ? round(number * factor) : undefined,
+  };
+};
+
+// "10 Quintal", "2.5qtl", "500 kg", "10" -> { value, unit, inQuintals }
+const parseQuantity = (text) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z.]*)\s*$/i.exec(String(text || ""));
+  if (!match) return undefined;
+  return buildQuantity(match[1], match[2]);
+};
+
+// "14", "14%", "14.5 %" -> 14.5; anything outside 0-100 is undefined
+const parseMoisture = (value) => {
+  if (typeof value === "number") {
+    return value >= 0 && value <= 100 ? value : undefined;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*%?\s*$/.exec(String(value || ""));
+  if (!match) return undefined;
+  const number = Number(match[1]);
+  return number <= 100 ? number : undefined;
+};
+
+// true/false, "Yes"/"No", "true"/"false" -> boolean; anything else undefined
+const parseWillDry = (value) => {
+  if (typeof value === "boolean") return value;
+  const text = String(value === undefined || value === null ? "" : value).trim().toLowerCase();
+  if (["yes", "y", "true", "1"].includes(text)) return true;
+  if (["no", "n", "false", "0"].includes(text)) return false;
+  return undefined;
+};
+
+// Fields that used to be stored as free text, with the parser for that text
+const LEGACY_TEXT_FIELDS = {
+  quantity: parseQuantity,
+  moisture: parseMoisture,
+  willDry: parseWillDry,
+};
+
+module.exports = {
+  LEGACY_TEXT_FIELDS,
+  QUANTITY_UNITS,
+  QUINTALS_PER_UNIT,
+  normalizeUnit,
+  buildQuantity,
+  parseQuantity,
+  parseMoisture,
+  parseWillDry,
+};
@@ -0,0 +1,47 @@
+// utils/streams.js - Helpers for writing large responses
+
+// Resolves once the stream can take more data or has closed (e.g. the
+// client went away); rejects if it errors first
+const drained = (res) => {
+  return new Promise((resolve, reject) => {
+    if (res.destroyed) return resolve();
+
+    const cleanup = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      res.off("error", failed);
+    };
+    const done = () => {
+      cleanup();
+      resolve();
+    };
+    const failed = (error) => {
+      cleanup();
+      reject(error);
+    };
+    res.on("drain", done);
+    res.on("close", done);
+    res.on("error", failed);
+  });
+};
+
+// Resolves when the stream closes, whether it finished or was destroyed
+const closed = (stream) => {
+  return new Promise((resolve) => {
+    if (stream.destroyed) return resolve();
+    stream.once("close", resolve);
+  });
+};
+
+// Write a chunk, waiting for the socket to drain when its buffer is full
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await drained(res);
+  }
+};
+
+module.exports = {
+  drained,
+  closed,
+  writeChunk,
+};
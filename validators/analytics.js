@@ -0,0 +1,31 @@
+// validators/analytics.js - Request schemas for routes/analytics.js
+const { Joi, adminFilters, adminStatus } = require("./common");
+const { BUCKETS, GROUP_FIELDS, SLA_HOURS } = require("../services/analytics");
+
+// status, bucket and the /admin/:status filters, shared by every report
+const reportQuery = {
+  status: adminStatus().default("all"),
+  bucket: Joi.string().valid(...BUCKETS),
+  ...adminFilters,
+};
+
+module.exports = {
+  report: {
+    query: Joi.object(reportQuery),
+  },
+
+  counts: {
+    query: Joi.object({
+      ...reportQuery,
+      by: Joi.string().valid(...GROUP_FIELDS).default("status"),
+    }),
+  },
+
+  slaBreaches: {
+    query: Joi.object({
+      ...reportQuery,
+      hours: Joi.number().positive().default(SLA_HOURS),
+      limit: Joi.number().integer().min(1).max(500).default(100),
+    }),
+  },
+};
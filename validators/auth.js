@@ -0,0 +1,34 @@
+// validators/auth.js - Request schemas for routes/auth.js
+const { Joi, idParams } = require("./common");
+const { REVIEWER_ROLES } = require("../models/Reviewer");
+
+const email = () => Joi.string().trim().lowercase().email();
+const password = () => Joi.string().min(8).max(128);
+
+module.exports = {
+  login: {
+    body: Joi.object({
+      email: email().required(),
+      password: Joi.string().required(),
+    }),
+  },
+
+  createReviewer: {
+    body: Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      email: email().required(),
+      password: password().required(),
+      role: Joi.string().valid(...REVIEWER_ROLES),
+    }),
+  },
+
+  updateReviewer: {
+    params: idParams,
+    body: Joi.object({
+      name: Joi.string().trim().max(100),
+      role: Joi.string().valid(...REVIEWER_ROLES),
+      active: Joi.boolean(),
+      password: password(),
+    }).min(1),
+  },
+};
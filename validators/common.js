@@ -0,0 +1,92 @@
+// validators/common.js - Joi building blocks shared by the route schemas
+const BaseJoi = require("joi");
+const mongoose = require("mongoose");
+const { ADMIN_STATUSES } = require("../utils/adminFilters");
+
+// Multipart forms and query strings can only send strings, so objects and
+// arrays arrive as JSON text (e.g. location='{"lat":12.9,"lng":77.5}') or,
+// for arrays, comma-separated text. Parse it before validating instead of
+// letting JSON.parse throw inside the route.
+const jsonCoercion = (type) => (joi) => ({
+  type,
+  base: joi[type](),
+  messages: { [`${type}.json`]: "{{#label}} must be valid JSON" },
+  coerce: {
+    from: "string",
+    method(value, helpers) {
+      const trimmed = value.trim();
+      if (type === "object" && !trimmed.startsWith("{")) return;
+      if (type === "array" && !trimmed.startsWith("[")) {
+        return { value: trimmed.split(",").map((item) => item.trim()) };
+      }
+      try {
+        return { value: JSON.parse(trimmed) };
+      } catch (error) {
+        return { errors: [helpers.error(`${type}.json`)] };
+      }
+    },
+  },
+});
+
+const Joi = BaseJoi.extend(jsonCoercion("object"), jsonCoercion("array"));
+
+const objectId = () =>
+  Joi.string()
+    .trim()
+    .custom((value, helpers) =>
+      mongoose.Types.ObjectId.isValid(value) ? value : helpers.error("any.invalid")
+    )
+    .messages({ "any.invalid": "{{#label}} must be a valid id" });
+
+const idParams = Joi.object({ id: objectId().required() });
+
+const latitude = () => Joi.number().min(-90).max(90);
+const longitude = () => Joi.number().min(-180).max(180);
+
+// Indian mobile number, optionally with +91 / 91 in front
+const phone = () =>
+  Joi.string()
+    .trim()
+    .pattern(/^(?:\+?91)?[6-9]\d{9}$/)
+    .messages({ "string.pattern.base": "{{#label}} must be a 10-digit mobile number" });
+
+const pagination = (defaultLimit = 20, maxLimit = 100) => ({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(maxLimit).default(defaultLimit),
+});
+
+// Filters understood by utils/adminFilters.js buildAdminQuery. Flags stay
+// strings because buildAdminQuery compares against "true"/"false".
+const adminFilters = {
+  userId: Joi.string().trim(),
+  cropId: Joi.string().trim(),
+  phone: Joi.string().trim().max(20),
+  fullName: Joi.string().trim().max(100),
+  cropName: Joi.string().trim().max(100),
+  village: Joi.string().trim().max(100),
+  taluk: Joi.string().trim().max(100),
+  district: Joi.string().trim().max(100),
+  fromDate: Joi.string().isoDate(),
+  toDate: Joi.string().isoDate(),
+  locationMismatch: Joi.string().valid("true", "false"),
+  locationCluster: Joi.string().valid("true", "false"),
+  willDry: Joi.string().valid("true", "false"),
+  minMoisture: Joi.number().min(0).max(100),
+  maxMoisture: Joi.number().min(0).max(100),
+  minQuantity: Joi.number().min(0),           // Quintals
+  maxQuantity: Joi.number().min(0),
+};
+
+const adminStatus = () => Joi.string().valid(...ADMIN_STATUSES);
+
+module.exports = {
+  Joi,
+  objectId,
+  idParams,
+  latitude,
+  longitude,
+  phone,
+  pagination,
+  adminFilters,
+  adminStatus,
+};
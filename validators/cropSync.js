@@ -0,0 +1,18 @@
+// validators/cropSync.js - Request schemas for routes/cropSync.js
+const { Joi, objectId, pagination } = require("./common");
+
+const JOB_STATUSES = ["pending", "processing", "succeeded", "failed", "superseded", "all"];
+
+module.exports = {
+  listJobs: {
+    query: Joi.object({
+      status: Joi.string().valid(...JOB_STATUSES).default("failed"),
+      cropId: Joi.string().trim(),
+      ...pagination(20, 100),
+    }),
+  },
+
+  replayJob: {
+    params: Joi.object({ jobId: objectId().required() }),
+  },
+};
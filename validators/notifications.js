@@ -0,0 +1,18 @@
+// validators/notifications.js - Request schemas for routes/notifications.js
+const { Joi, objectId, idParams, pagination } = require("./common");
+
+module.exports = {
+  listNotifications: {
+    query: Joi.object({
+      verificationId: objectId(),
+      cropId: Joi.string().trim(),
+      status: Joi.string().valid("queued", "sending", "sent", "failed"),
+      event: Joi.string().trim(),
+      ...pagination(20, 100),
+    }),
+  },
+
+  resendNotification: {
+    params: idParams,
+  },
+};
@@ -0,0 +1,252 @@
+// validators/verification.js - Request schemas for routes/verification.js
+const {
+  Joi,
+  objectId,
+  idParams,
+  latitude,
+  longitude,
+  phone,
+  pagination,
+  adminFilters,
+  adminStatus,
+} = require("./common");
+const { ADMIN_SORT_FIELDS } = require("../utils/adminFilters");
+const { parseQuantity } = require("../utils/measurements");
+const { REJECTION_REASON_CODES } = require("../config/rejectionReasons");
+const { EXPORT_FORMATS } = require("../services/verificationExport");
+const { GEO_EXPORT_FORMATS } = require("../services/geoExport");
+const { LOCATION_TYPES } = require("../services/review");
+
+const BULK_ACTIONS = ["approve-photos", "approve", "reject"];
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_REVIEW_MAX_ITEMS || "200", 10);
+
+const cropIdParams = Joi.object({ cropId: Joi.string().trim().required() });
+const adminStatusParams = Joi.object({ status: adminStatus().required() });
+
+const rejectionReason = () => Joi.string().valid(...REJECTION_REASON_CODES);
+const notes = () => Joi.string().trim().max(1000).allow("");
+const locationType = () => Joi.string().valid(...LOCATION_TYPES);
+
+// Box as fractions of the image size; must stay inside the image
+const annotation = () =>
+  Joi.object({
+    kind: Joi.string().valid("bbox").default("bbox"),
+    x: Joi.number().min(0).max(1).required(),
+    y: Joi.number().min(0).max(1).required(),
+    width: Joi.number().greater(0).max(1).required(),
+    height: Joi.number().greater(0).max(1).required(),
+    label: Joi.string().trim().max(100),
+  }).custom((box, helpers) => {
+    if (box.x + box.width > 1 || box.y + box.height > 1) {
+      return helpers.message("{{#label}} must lie within the image");
+    }
+    return box;
+  });
+
+// One photo's decision in /:id/review-images
+const photoReview = () =>
+  Joi.object({
+    photoId: objectId().required(),
+    status: Joi.string().valid("approved", "rejected").required(),
+    rejectionReason: rejectionReason().when("status", {
+      is: "rejected",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    reviewNote: notes(),
+    annotations: Joi.array().items(annotation()).max(20),
+  });
+
+// A number (unit in quantityUnit), or text like "10 Quintal" from older app
+// versions, which is parsed here into { value, unit, inQuintals }
+const quantity = () =>
+  Joi.alternatives()
+    .try(
+      Joi.number().min(0),
+      Joi.string()
+        .trim()
+        .max(50)
+        .custom((value, helpers) => parseQuantity(value) || helpers.error("any.invalid"))
+    )
+    .messages({
+      "any.invalid": '{{#label}} must be a number or a quantity like "10 quintal"',
+      "alternatives.match": '{{#label}} must be a number or a quantity like "10 quintal"',
+    });
+
+// Radius and filters shared by both nearby routes
+const nearbyOptions = {
+  radius: Joi.number().integer().min(1).max(50000).default(1000),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  status: adminStatus(),
+  cropId: Joi.string().trim(),
+  cropName: Joi.string().trim().max(100),
+};
+
+// Optional declared fields on a submission; empty strings mean "use the crop record"
+const declaredText = () => Joi.string().trim().max(100).allow("");
+
+module.exports = {
+  BULK_ACTIONS,
+  BULK_MAX_ITEMS,
+
+  submit: {
+    body: Joi.object({
+      cropId: Joi.string().trim().required(),
+      location: Joi.object({
+        lat: latitude().required(),
+        lng: longitude().required(),
+      })
+        .unknown(true)
+        .required(),
+      fullName: declaredText(),
+      phone: phone().allow(""),
+      village: declaredText(),
+      taluk: declaredText(),
+      district: declaredText(),
+      quantity: quantity().allow(""),
+      quantityUnit: Joi.string().trim().max(20).allow(""),
+      variety: declaredText(),
+      moisture: Joi.number().min(0).max(100).allow(""),
+      willDry: Joi.boolean().truthy("yes").falsy("no").allow(""),
+    }),
+  },
+
+  adminList: {
+    params: adminStatusParams,
+    query: Joi.object({
+      ...adminFilters,
+      q: Joi.string().trim().max(200),
+      sort: Joi.string().valid(...ADMIN_SORT_FIELDS).default("createdAt"),
+      order: Joi.string().lowercase().valid("asc", "desc").default("desc"),
+      cursor: Joi.string().max(500),
+      limit: Joi.number().integer().min(1).max(100).default(10),
+      includeTotal: Joi.boolean().default(false),
+    }),
+  },
+
+  adminExport: {
+    params: adminStatusParams,
+    query: Joi.object({
+      ...adminFilters,
+      format: Joi.string().lowercase().valid(...Object.keys(EXPORT_FORMATS)).default("csv"),
+    }),
+  },
+
+  locationExport: {
+    query: Joi.object({
+      ...adminFilters,
+      status: adminStatus().default("approved"),
+      format: Joi.string().lowercase().valid(...Object.keys(GEO_EXPORT_FORMATS)).default("geojson"),
+    }),
+  },
+
+  auditEvents: {
+    query: Joi.object({
+      reviewer: Joi.string().trim().lowercase(),
+      action: Joi.string().trim(),
+      verificationId: objectId(),
+      cropId: Joi.string().trim(),
+      fromDate: Joi.string().isoDate(),
+      toDate: Joi.string().isoDate(),
+      ...pagination(20, 100),
+    }),
+  },
+
+  nearby: {
+    query: Joi.object({
+      lat: latitude().required(),
+      lng: longitude().required(),
+      ...nearbyOptions,
+    }),
+  },
+
+  queueNext: {
+    query: Joi.object(adminFilters),
+  },
+
+  bulk: {
+    body: Joi.object({
+      action: Joi.string().valid(...BULK_ACTIONS).required(),
+      ids: Joi.array().items(objectId()).min(1).max(BULK_MAX_ITEMS).unique(),
+      filter: Joi.object(adminFilters),
+      locationType: locationType().when("action", {
+        is: "approve",
+        then: Joi.required(),
+      }),
+      rejectionReason: rejectionReason().when("action", {
+        is: "reject",
+        then: Joi.required(),
+      }),
+      rejectionNotes: notes(),
+    }).xor("ids", "filter"),
+  },
+
+  cropStatus: {
+    params: cropIdParams,
+  },
+
+  userVerifications: {
+    params: Joi.object({ userId: Joi.string().trim().required() }),
+  },
+
+  byId: {
+    params: idParams,
+  },
+
+  reassignClaim: {
+    params: idParams,
+    body: Joi.object({ reviewerId: objectId().required() }),
+  },
+
+  reviewImages: {
+    params: idParams,
+    body: Joi.object({
+      // Legacy form: listed photos approved, every other photo rejected
+      approvedPhotoIds: Joi.array().items(objectId()).unique(),
+      // Per-photo decisions; photos not listed keep their current status
+      photos: Joi.array().items(photoReview()).min(1).unique("photoId"),
+    }).xor("approvedPhotoIds", "photos"),
+  },
+
+  finalize: {
+    params: idParams,
+    body: Joi.object({
+      status: Joi.string().valid("approved", "rejected").required(),
+      rejectionReason: rejectionReason().when("status", {
+        is: "rejected",
+        then: Joi.required(),
+      }),
+      rejectionNotes: notes(),
+      locationType: locationType().when("status", {
+        is: "approved",
+        then: Joi.required(),
+      }),
+    }),
+  },
+
+  revoke: {
+    params: idParams,
+    body: Joi.object({
+      reason: rejectionReason().required(),
+      notes: notes(),
+    }),
+  },
+
+  updateLocationType: {
+    params: idParams,
+    body: Joi.object({ locationType: locationType().required() }),
+  },
+
+  replacePhotos: {
+    params: idParams,
+    body: Joi.object({
+      // Repeated form fields, a JSON array or "id1,id2"
+      photoIds: Joi.array().items(objectId()).single().min(1).max(3).unique().required(),
+    }),
+  },
+
+  nearbyById: {
+    params: idParams,
+    query: Joi.object(nearbyOptions),
+  },
+};